@@ -1,2 +1,4 @@
 #!/usr/bin/env node
-import './server.js';
\ No newline at end of file
+import { run } from '../src/node/cli.js';
+
+process.exitCode = await run(process.argv.slice(2));
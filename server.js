@@ -1,14 +1,43 @@
 import express from "express";
 import path from "path";
 import { fileURLToPath } from "url";
+import { createApiRouter } from "./src/node/api.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 
-// Serve only your frontend
+// Serve only your frontend, plus the browser scripts it loads from ../src.
+// The rest of src/ (the Node.js server code) stays private.
+const BROWSER_SCRIPTS = ["PDFDiffEngine.js", "PDFDiffViewer.js", "PDFDiffWorker.js"];
+
 app.use(express.static(path.join(__dirname, "public")));
+BROWSER_SCRIPTS.forEach((file) => {
+  app.get(`/src/${file}`, (req, res) => {
+    res.sendFile(path.join(__dirname, "src", file));
+  });
+});
+
+// REST API for comparisons without a browser. Requests may only read local
+// PDFs inside PDF_DIFF_ROOT; without it only uploads are accepted.
+// Long comparisons run as jobs, kept on disk for PDF_DIFF_JOB_RETENTION_HOURS.
+// Job callbacks are signed with PDF_DIFF_WEBHOOK_SECRET and only go to public
+// addresses, or to the hosts listed in PDF_DIFF_WEBHOOK_ALLOWED_HOSTS.
+app.use("/api", createApiRouter({
+  root: process.env.PDF_DIFF_ROOT || null,
+  maxFileSize: Number(process.env.PDF_DIFF_MAX_FILE_MB || 50) * 1024 * 1024,
+  publicUrl: process.env.PDF_DIFF_PUBLIC_URL || null,
+  jobs: {
+    ...(process.env.PDF_DIFF_JOBS_DIR && { dir: process.env.PDF_DIFF_JOBS_DIR }),
+    concurrency: Number(process.env.PDF_DIFF_JOB_CONCURRENCY || 1),
+    retention: Number(process.env.PDF_DIFF_JOB_RETENTION_HOURS || 24) * 60 * 60 * 1000
+  },
+  webhooks: {
+    secret: process.env.PDF_DIFF_WEBHOOK_SECRET || null,
+    allowedHosts: (process.env.PDF_DIFF_WEBHOOK_ALLOWED_HOSTS || "").split(",").map((host) => host.trim()).filter(Boolean)
+  }
+}));
 
 app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "public", "index.html"));
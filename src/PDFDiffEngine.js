@@ -0,0 +1,2769 @@
+/**
+ * PDFDiffEngine - DOM-free PDF comparison core
+ * Renders, aligns and diffs page pairs without touching the document, so the
+ * same pipeline runs behind PDFDiffViewer in the browser and headless in Node.
+ */
+
+class PDFDiffEngine {
+    /**
+     * @param {Object} options - Comparison options (same names as PDFDiffViewer)
+     * @param {Object} [options.pdfjsLib] - PDF.js module, defaults to the global `pdfjsLib`
+     * @param {Object} [options.canvasFactory] - `{ create(width, height) }` returning a 2D canvas
+     * @param {Object} [options.documentParams] - Extra parameters passed to `pdfjsLib.getDocument`
+     * @param {Object} [options.pdfLib] - pdf-lib module for annotated PDF export, defaults to the global `PDFLib`
+     * @param {Function} [options.onWarning] - `({ code, message, error })` for problems the engine recovers from, such as a failed worker
+     */
+    constructor(options = {}) {
+        // Configuration
+        this.options = {
+            scale: options.scale || 3.0,
+            maxShift: options.maxShift || 3,
+            dilationRadius: options.dilationRadius || 0,
+            colorTolerance: options.colorTolerance || 120,
+            diffMetric: options.diffMetric || 'rgb',
+            perceptualThreshold: options.perceptualThreshold ?? (options.diffMetric === 'ciede2000' ? 2.3 : 0.1),
+            ignoreAntialiasing: options.ignoreAntialiasing || false,
+            minHighlightArea: options.minHighlightArea || 60,
+            minWordSize: options.minWordSize || 8,
+            highlightAlpha: options.highlightAlpha || 0.32,
+            highlightColorA: options.highlightColorA || '#FF1744',  // Red for Doc A changes
+            highlightColorB: options.highlightColorB || '#2196F3',  // Blue for Doc B changes
+            backgroundFillColor: options.backgroundFillColor || 'white',  // Canvas background
+            cropRegions: options.cropRegions || [],
+            maskRegions: options.maskRegions || [],
+            profile: options.profile ? this._normalizeProfile(options.profile) : null,
+            ignorePatterns: this._normalizeIgnorePatterns(options.ignorePatterns || []),
+            alignmentMethod: options.alignmentMethod || 'pyramid',
+            localAlignment: options.localAlignment || false,
+            alignmentTolerance: options.alignmentTolerance || 2,
+            similarityThreshold: options.similarityThreshold || 0.3,
+            classifyChanges: options.classifyChanges !== false,
+            includeImages: options.includeImages || false,
+            workerCount: options.workerCount !== undefined ? options.workerCount : this._defaultWorkerCount(),
+            workerUrl: options.workerUrl || this._defaultWorkerUrl()
+        };
+
+        if (!['pyramid', 'exhaustive'].includes(this.options.alignmentMethod)) {
+            throw new Error(`Unknown alignmentMethod "${this.options.alignmentMethod}". Use 'pyramid' or 'exhaustive'.`);
+        }
+        if (!['rgb', 'yiq', 'ciede2000'].includes(this.options.diffMetric)) {
+            throw new Error(`Unknown diffMetric "${this.options.diffMetric}". Use 'rgb', 'yiq' or 'ciede2000'.`);
+        }
+
+        // One highlight colour per change category; insertions and deletions
+        // follow the Doc B / Doc A colours so existing colour schemes still apply
+        this.options.categoryColors = {
+            insertion: this.options.highlightColorB,
+            deletion: this.options.highlightColorA,
+            modification: '#FF9800',
+            move: '#9C27B0',
+            style: '#4CAF50',
+            graphic: '#607D8B',
+            ...options.categoryColors
+        };
+
+        // PDF.js is only needed to load documents, so PDFDiffWorker can run the pixel pipeline without it
+        this.pdfjsLib = options.pdfjsLib || (typeof pdfjsLib !== 'undefined' ? pdfjsLib : null);
+
+        // pdf-lib is only needed for annotated PDF export
+        this.pdfLib = options.pdfLib || (typeof PDFLib !== 'undefined' ? PDFLib : null);
+
+        this.canvasFactory = options.canvasFactory || this._defaultCanvasFactory();
+        this._sources = new WeakMap();
+        this._remapDocuments = null;
+        this.documentParams = options.documentParams || {};
+
+        // Kept out of this.options, which is posted to the workers and can't hold functions
+        this.onWarning = options.onWarning || null;
+    }
+
+    /**
+     * Compare two PDF files
+     * @param {File|Blob|ArrayBuffer|Uint8Array} pdfA - First PDF
+     * @param {File|Blob|ArrayBuffer|Uint8Array} pdfB - Second PDF
+     * @param {Object} [compareOptions]
+     * @param {string} [compareOptions.nameA] - File name for reports, defaults to `File.name`
+     * @param {string} [compareOptions.nameB] - File name for reports, defaults to `File.name`
+     * @param {AbortSignal} [compareOptions.signal] - Cancels the comparison; compare() rejects with an AbortError
+     * @param {Function} [compareOptions.onProgress] - `({ phase, completed, total })`, phase is 'loading', 'mapping', 'comparing' or 'done'
+     * @param {Array<Object>} [compareOptions.pageMapping] - Explicit `[{ pageA, pageB }]` pairs instead of automatic page mapping; use null for a page without counterpart
+     * @param {Function} [compareOptions.onMappingResolved] - `(pageMapping, { pagesA, pagesB })` once the page pairs are known
+     * @param {Function} [compareOptions.onPageComplete] - `(pageResult, index)` as each pair finishes; with workers pairs may finish out of order
+     * @returns {Promise<Object>} Comparison results
+     */
+    async compare(pdfA, pdfB, compareOptions = {}) {
+        const { signal, onProgress, onMappingResolved, onPageComplete } = compareOptions;
+        if (compareOptions.pageMapping !== undefined && !Array.isArray(compareOptions.pageMapping)) {
+            throw new Error('`pageMapping` must be an array of { pageA, pageB } entries');
+        }
+        const progress = (phase, completed, total) => {
+            if (onProgress) onProgress({ phase, completed, total });
+        };
+
+        this._throwIfAborted(signal);
+        progress('loading', 0, 2);
+
+        // Convert inputs to ArrayBuffers if needed
+        const bufferA = await this._toArrayBuffer(pdfA);
+        const bufferB = await this._toArrayBuffer(pdfB);
+        const sizeA = bufferA.byteLength;
+        const sizeB = bufferB.byteLength;
+
+        // PDF.js may transfer the buffers to its worker, so keep copies for annotated export
+        const sources = { a: new Uint8Array(bufferA.slice(0)), b: new Uint8Array(bufferB.slice(0)) };
+
+        let docA = null;
+        let docB = null;
+        try {
+            // Load PDFs
+            docA = await this._loadDocument(bufferA);
+            this._throwIfAborted(signal);
+            progress('loading', 1, 2);
+            docB = await this._loadDocument(bufferB);
+            this._throwIfAborted(signal);
+            progress('loading', 2, 2);
+
+            let pageMapping = [];
+
+            if (compareOptions.pageMapping) {
+                // Manual override
+                pageMapping = await this._resolvePageMapping(compareOptions.pageMapping, docA, docB);
+            } else if (docA.numPages > 1 || docB.numPages > 1) {
+                // Align pages by content so inserted, deleted and shifted pages are paired correctly
+                progress('mapping', 0, 1);
+                pageMapping = await this._findPageMappings(docA, docB);
+                this._throwIfAborted(signal);
+                progress('mapping', 1, 1);
+            } else {
+                // Single pages are always compared with each other
+                pageMapping.push({ type: 'matched', pageA: 1, pageB: 1, similarity: 1.0 });
+            }
+            if (onMappingResolved) onMappingResolved(pageMapping, { pagesA: docA.numPages, pagesB: docB.numPages });
+
+            // Process mapped page pairs; with a worker pool one pair per worker is in flight
+            const pool = this._getWorkerPool();
+            let completed = 0;
+            progress('comparing', 0, pageMapping.length);
+            const pageResults = await this._mapConcurrent(pageMapping, pool ? pool.workers.length : 1, async (mapping, index) => {
+                this._throwIfAborted(signal);
+                const pageResult = await this._comparePagePair(docA, docB, mapping.pageA, mapping.pageB);
+                pageResult.type = mapping.type;
+                pageResult.similarity = mapping.similarity;
+
+                // Nothing is reported once aborted, so a cancelled run never touches the caller's UI again
+                this._throwIfAborted(signal);
+                completed++;
+                if (onPageComplete) onPageComplete(pageResult, index);
+                progress('comparing', completed, pageMapping.length);
+                return pageResult;
+            });
+            const totalDiffPixels = pageResults.reduce((sum, pageResult) => sum + pageResult.diffPixels, 0);
+
+            const results = {
+                totalPages: pageMapping.length,
+                totalDiffPixels,
+                suppressed: this._sumSuppressed(pageResults),
+                stats: this._computeDocumentStats(pageResults),
+                pageResults,
+                pageMapping,
+                documents: {
+                    a: await this._getDocumentInfo(docA, compareOptions.nameA || pdfA.name, sizeA),
+                    b: await this._getDocumentInfo(docB, compareOptions.nameB || pdfB.name, sizeB)
+                },
+                options: { ...this.options }
+            };
+            this._throwIfAborted(signal);
+            this._sources.set(results, sources);
+            progress('done', pageMapping.length, pageMapping.length);
+            return results;
+        } finally {
+            if (docA) docA.destroy();
+            if (docB) docB.destroy();
+        }
+    }
+
+    /**
+     * Export comparison results as a standalone report
+     * @param {Object} results - Results from `compare()`
+     * @param {Object} [reportOptions]
+     * @param {string} [reportOptions.format='html'] - Report format (only 'html' is supported)
+     * @param {string} [reportOptions.title] - Report title
+     * @param {Object} [reportOptions.labels] - `{ a, b }` document labels
+     * @returns {string} Self-contained report that opens offline
+     */
+    exportReport(results, reportOptions = {}) {
+        const format = reportOptions.format || 'html';
+        if (!results) {
+            throw new Error('No comparison results to export. Run compare() first.');
+        }
+        if (format !== 'html') {
+            throw new Error(`Unsupported report format "${format}". Supported formats: html.`);
+        }
+        return this._buildHtmlReport(results, reportOptions);
+    }
+
+    /**
+     * Write a copy of one input PDF with a highlight annotation on every change.
+     * The original page content is left untouched; each annotation carries a
+     * popup comment describing the change.
+     * @param {Object} results - Results from `compare()` on this engine
+     * @param {Object} [annotateOptions]
+     * @param {string} [annotateOptions.document='b'] - Which input to annotate: 'a' or 'b'
+     * @param {string} [annotateOptions.author='PDF Diff Viewer'] - Annotation author
+     * @returns {Promise<Uint8Array>} Annotated PDF bytes
+     */
+    async exportAnnotatedPdf(results, annotateOptions = {}) {
+        const side = (annotateOptions.document || 'b').toLowerCase();
+        if (side !== 'a' && side !== 'b') {
+            throw new Error(`Unknown document "${annotateOptions.document}". Expected 'a' or 'b'.`);
+        }
+        if (!this.pdfLib) {
+            throw new Error('pdf-lib not found. Pass `pdfLib` or load pdf-lib before exporting annotated PDFs.');
+        }
+        const sources = results && this._sources.get(results);
+        if (!sources) {
+            throw new Error('Source PDFs not available. Export results returned by compare() on the same engine.');
+        }
+
+        const { PDFDocument, PDFName, PDFHexString, PDFString } = this.pdfLib;
+        const pdfDoc = await PDFDocument.load(sources[side]);
+        const pages = pdfDoc.getPages();
+        const boxesKey = side === 'a' ? 'boxesA' : 'boxesB';
+        const scale = results.options.scale;
+        const author = annotateOptions.author || 'PDF Diff Viewer';
+
+        results.pageResults.forEach((pageResult) => {
+            const page = pages[(side === 'a' ? pageResult.pageNumA : pageResult.pageNumB) - 1];
+            if (!page) return;
+
+            const crop = pageResult.crop || { x: 0, y: 0 };
+            const pageBox = page.getCropBox();
+            const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+
+            (pageResult.changes || []).forEach((change) => {
+                const boxes = change[boxesKey];
+                if (!boxes.length) return;
+
+                // Corners in rendered pixels -> PDF user space, in UL, UR, LL, LR order
+                const quads = boxes.map(box => [
+                    [box.x, box.y], [box.x + box.width, box.y],
+                    [box.x, box.y + box.height], [box.x + box.width, box.y + box.height]
+                ].map(([x, y]) => this._pixelToPdfPoint(x + crop.x, y + crop.y, scale, pageBox, rotation)));
+
+                const points = quads.flat();
+                const xs = points.map(point => point[0]);
+                const ys = points.map(point => point[1]);
+                const rect = [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+                const color = this._parseHexColor(this.options.categoryColors[change.category]) || [255, 0, 0];
+
+                const annotation = pdfDoc.context.obj({
+                    Type: 'Annot',
+                    Subtype: change.category === 'graphic' ? 'Square' : 'Highlight',
+                    Rect: rect,
+                    C: color.map(channel => channel / 255),
+                    CA: 0.5,
+                    F: 4,
+                    T: PDFHexString.fromText(author),
+                    Contents: PDFHexString.fromText(this._describeChange(change)),
+                    M: PDFString.fromDate(new Date())
+                });
+                if (change.category !== 'graphic') {
+                    annotation.set(PDFName.of('QuadPoints'), pdfDoc.context.obj(points.flat()));
+                }
+                const annotationRef = pdfDoc.context.register(annotation);
+
+                const popupRef = pdfDoc.context.register(pdfDoc.context.obj({
+                    Type: 'Annot',
+                    Subtype: 'Popup',
+                    Rect: [rect[2], rect[3] - 80, rect[2] + 200, rect[3]],
+                    Parent: annotationRef,
+                    Open: false
+                }));
+                annotation.set(PDFName.of('Popup'), popupRef);
+
+                page.node.addAnnot(annotationRef);
+                page.node.addAnnot(popupRef);
+            });
+        });
+
+        return await pdfDoc.save();
+    }
+
+    /**
+     * Re-run a single page pair of an earlier comparison against another page of B.
+     * Every page stays listed once: the A page that had page B until now is
+     * listed as deleted, and the B page this page leaves as inserted.
+     * The documents are loaded on the first remap() of these results and kept
+     * for the next ones until releaseDocuments().
+     * @param {Object} results - Results returned by compare() on this engine; updated in place
+     * @param {number} pageA - Page of document A whose counterpart changes
+     * @param {number|null} pageB - New page of document B, or null to treat page A as deleted
+     * @returns {Promise<Object>} The new page result
+     */
+    async remap(results, pageA, pageB) {
+        const sources = results && this._sources.get(results);
+        if (!sources) {
+            throw new Error('Source PDFs not available. Remap results returned by compare() on the same engine.');
+        }
+        const index = results.pageResults.findIndex(pageResult => pageResult.pageNumA === pageA);
+        if (index === -1) {
+            throw new Error(`Page ${pageA} of document A is not part of these results`);
+        }
+
+        const [docA, docB] = await this._getRemapDocuments(results, sources);
+        const comparePair = async (mapping) => {
+            const pageResult = await this._comparePagePair(docA, docB, mapping.pageA, mapping.pageB);
+            pageResult.type = mapping.type;
+            pageResult.similarity = mapping.similarity;
+            return pageResult;
+        };
+        const previousPageB = results.pageResults[index].pageNumB;
+        const [mapping] = await this._resolvePageMapping([{ pageA, pageB }], docA, docB);
+        const pageResult = await comparePair(mapping);
+        results.pageResults[index] = pageResult;
+        results.pageMapping[index] = mapping;
+
+        if (pageB !== null && pageB !== previousPageB) {
+            const other = results.pageResults.findIndex(p => p !== pageResult && p.pageNumB === pageB);
+            if (other !== -1 && results.pageResults[other].pageNumA === null) {
+                // Page B was listed on its own and is now covered by this pair
+                results.pageResults.splice(other, 1);
+                results.pageMapping.splice(other, 1);
+            } else if (other !== -1) {
+                // Page B was paired with another page of A, which is left without a counterpart
+                const deleted = { type: 'deleted', pageA: results.pageResults[other].pageNumA, pageB: null, similarity: 0 };
+                results.pageResults[other] = await comparePair(deleted);
+                results.pageMapping[other] = deleted;
+            }
+        }
+        if (previousPageB !== null && previousPageB !== pageB) {
+            // The page of B this page was paired with is now on its own
+            const inserted = { type: 'inserted', pageA: null, pageB: previousPageB, similarity: 0 };
+            const at = results.pageResults.indexOf(pageResult) + 1;
+            results.pageResults.splice(at, 0, await comparePair(inserted));
+            results.pageMapping.splice(at, 0, inserted);
+        }
+
+        results.totalPages = results.pageResults.length;
+        results.totalDiffPixels = results.pageResults.reduce((sum, p) => sum + p.diffPixels, 0);
+        results.suppressed = this._sumSuppressed(results.pageResults);
+        results.stats = this._computeDocumentStats(results.pageResults);
+        // The pair was compared with the current crop and mask regions
+        results.options = { ...this.options };
+        return pageResult;
+    }
+
+    /**
+     * Close the documents kept for remap()
+     */
+    releaseDocuments() {
+        const kept = this._remapDocuments;
+        this._remapDocuments = null;
+        if (kept) {
+            kept.loading.then(docs => docs.forEach(doc => doc.destroy()), () => {});
+        }
+    }
+
+    /**
+     * Crop and mask regions in PDF points, measured from the top-left corner
+     * of the page as rendered, so they don't depend on `scale`
+     * @returns {{ crops: Array<Object>, masks: Array<Object> }} `{ page, x, y, width, height }` regions
+     */
+    getRegions() {
+        const { scale, cropRegions, maskRegions } = this.options;
+        const toPoints = (region, origin = { x: 0, y: 0 }) => ({
+            page: region.page,
+            x: (region.x + origin.x) / scale,
+            y: (region.y + origin.y) / scale,
+            width: region.width / scale,
+            height: region.height / scale
+        });
+
+        return {
+            crops: cropRegions.map(region => toPoints(region)),
+            // Mask pixels are relative to the page's crop
+            masks: maskRegions.map(region => toPoints(region, cropRegions.find(crop => crop.page === region.page)))
+        };
+    }
+
+    /**
+     * Replace the crop and mask regions, given in PDF points (see getRegions())
+     * @param {Object} regions
+     * @param {Array<Object>} [regions.crops] - `{ page, x, y, width, height }`, one per page
+     * @param {Array<Object>} [regions.masks] - `{ page, x, y, width, height }`
+     */
+    setRegions({ crops = [], masks = [] } = {}) {
+        const cropRegions = crops.map(region => this._regionToPixels(region));
+        this.options.cropRegions = cropRegions;
+        this.options.maskRegions = masks.map((region) => {
+            const mask = this._regionToPixels(region);
+            const crop = cropRegions.find(crop => crop.page === region.page) || { x: 0, y: 0 };
+            return { ...mask, x: mask.x - crop.x, y: mask.y - crop.y };
+        });
+    }
+
+    /**
+     * Use a comparison profile: crops and masks for every page matching a
+     * page selector, applied on top of `cropRegions` / `maskRegions`
+     * @param {Object|string|null} profile - Profile object or JSON text, or null to remove it
+     */
+    setProfile(profile) {
+        this.options.profile = profile ? this._normalizeProfile(profile) : null;
+    }
+
+    /**
+     * The profile in use, normalized, or null
+     * @returns {Object|null}
+     */
+    getProfile() {
+        return this.options.profile;
+    }
+
+    /**
+     * Crop and masks that apply to a page of A, in pixels at render scale.
+     * Regions from `cropRegions` / `maskRegions` win over the profile; masks end up relative to the crop.
+     * @param {number} pageNum - 1-based page of A
+     * @param {number} pageCount - Pages in A, for selectors such as "last"
+     * @param {number} width - Rendered page width in pixels, for regions in percent
+     * @param {number} height - Rendered page height in pixels
+     * @returns {{ crop: Object|null, masks: Array<Object> }} `{ x, y, width, height }` regions
+     */
+    getPageRegions(pageNum, pageCount, width, height) {
+        const { cropRegions, maskRegions, profile } = this.options;
+        const pageSize = { width, height };
+        const matches = region => this._parsePageSelector(region.page)(pageNum, pageCount);
+
+        // A later profile crop for the same page replaces an earlier one
+        const profileCrop = (profile?.crops || []).filter(matches).pop();
+        const explicitCrop = cropRegions.find(region => region.page === pageNum);
+        const crop = explicitCrop || (profileCrop ? this._regionToPixels(profileCrop, pageSize) : null);
+
+        // `maskRegions` are relative to the page's `cropRegions` entry, profile masks to the page
+        const origin = crop || { x: 0, y: 0 };
+        const explicitOrigin = explicitCrop || { x: 0, y: 0 };
+        const masks = [
+            ...maskRegions
+                .filter(region => region.page === pageNum)
+                .map(mask => ({ ...mask, x: mask.x + explicitOrigin.x - origin.x, y: mask.y + explicitOrigin.y - origin.y })),
+            ...(profile?.masks || [])
+                .filter(matches)
+                .map(region => this._regionToPixels(region, pageSize))
+                .map(mask => ({ ...mask, x: mask.x - origin.x, y: mask.y - origin.y }))
+        ];
+
+        return { crop, masks };
+    }
+
+    /**
+     * Scale-independent statistics of a comparison
+     * @param {Object} results - Results returned by compare()
+     * @returns {Object} Document totals (`similarity`, `percentChanged`, `changeRegions`,
+     *   `changedArea`, `wordsAdded`, `wordsRemoved`, page counts, `suppressed`) and the same per page in `pages`
+     */
+    getSummary(results) {
+        return {
+            ...results.stats,
+            suppressed: results.suppressed,
+            pages: results.pageResults.map(pageResult => ({
+                type: pageResult.type,
+                pageA: pageResult.pageNumA,
+                pageB: pageResult.pageNumB,
+                ...pageResult.stats
+            }))
+        };
+    }
+
+    /**
+     * Terminate the comparison workers. A later compare() starts a new pool.
+     */
+    destroy() {
+        this.releaseDocuments();
+        const pool = this._workerPool;
+        this._workerPool = undefined;
+        if (!pool) return;
+
+        const error = new Error('PDFDiffEngine was destroyed');
+        pool.workers.forEach(worker => worker.terminate());
+        pool.jobs.forEach(job => job.reject(error));
+        pool.queue.forEach(job => job.reject(error));
+        pool.jobs.clear();
+        pool.queue.length = 0;
+    }
+
+    // ===== PRIVATE METHODS =====
+
+    /**
+     * Documents of the results being remapped. compare() releases its
+     * documents, so they are loaded again from the kept copies, once.
+     */
+    _getRemapDocuments(results, sources) {
+        if (this._remapDocuments?.results !== results) {
+            this.releaseDocuments();
+            const loading = Promise.all([this._loadDocument(sources.a.slice()), this._loadDocument(sources.b.slice())]);
+            // A failed load is retried by the next remap()
+            loading.catch(() => {
+                if (this._remapDocuments?.loading === loading) this._remapDocuments = null;
+            });
+            this._remapDocuments = { results, loading };
+        }
+        return this._remapDocuments.loading;
+    }
+
+    _defaultCanvasFactory() {
+        if (typeof document !== 'undefined') {
+            return {
+                create(width = 0, height = 0) {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = width;
+                    canvas.height = height;
+                    return canvas;
+                }
+            };
+        }
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return { create: (width = 0, height = 0) => new OffscreenCanvas(width, height) };
+        }
+        throw new Error('No canvas implementation found. Pass a `canvasFactory` when running outside the browser.');
+    }
+
+    _throwIfAborted(signal) {
+        if (!signal || !signal.aborted) return;
+        if (signal.reason instanceof Error) throw signal.reason;
+
+        const error = new Error('Comparison aborted');
+        error.name = 'AbortError';
+        throw error;
+    }
+
+    _createCanvas(width = 0, height = 0) {
+        return this.canvasFactory.create(width, height);
+    }
+
+    async _loadDocument(data) {
+        if (!this.pdfjsLib) {
+            throw new Error('PDF.js library not found. Pass `pdfjsLib` or load PDF.js before using PDFDiffEngine.');
+        }
+        return await this.pdfjsLib.getDocument({ ...this.documentParams, data }).promise;
+    }
+
+    async _getDocumentInfo(doc, name, size) {
+        let info = {};
+        try {
+            ({ info } = await doc.getMetadata());
+        } catch (err) {
+            // Metadata is optional - broken info dictionaries should not fail the comparison
+        }
+
+        return {
+            name: name || '',
+            size,
+            pages: doc.numPages,
+            title: info?.Title || '',
+            author: info?.Author || '',
+            producer: info?.Producer || '',
+            creationDate: info?.CreationDate || '',
+            modificationDate: info?.ModDate || ''
+        };
+    }
+
+    async _toArrayBuffer(input) {
+        if (input instanceof ArrayBuffer) {
+            return input;
+        }
+        if (input instanceof Uint8Array) {
+            // Node Buffers may be views into a larger shared pool
+            return input.buffer.slice(input.byteOffset, input.byteOffset + input.byteLength);
+        }
+        if (typeof Blob !== 'undefined' && input instanceof Blob) {
+            return await input.arrayBuffer();
+        }
+        throw new Error('Unsupported input type. Expected File, Blob, ArrayBuffer, or Uint8Array.');
+    }
+
+    async _comparePage(docA, docB, pageNum) {
+        return await this._comparePagePair(docA, docB, pageNum, pageNum);
+    }
+
+    async _comparePagePair(docA, docB, pageNumA, pageNumB) {
+        const canvasA = this._createCanvas();
+        const canvasB = this._createCanvas();
+
+        // A page only one document has is compared against a blank page of the same size
+        const { words: wordsA } = pageNumA ? await this._renderPageToCanvas(docA, pageNumA, canvasA) : { words: [] };
+        const { words: wordsB } = pageNumB ? await this._renderPageToCanvas(docB, pageNumB, canvasB) : { words: [] };
+        if (!pageNumA) this._fillBlankCanvas(canvasA, canvasB.width, canvasB.height);
+        if (!pageNumB) this._fillBlankCanvas(canvasB, canvasA.width, canvasA.height);
+
+        const { crop: pageCrop, masks: pageMasks } = pageNumA
+            ? this.getPageRegions(pageNumA, docA.numPages, canvasA.width, canvasA.height)
+            : { crop: null, masks: [] };
+        const croppedWordsA = this._offsetWordBoxes(wordsA, pageCrop);
+        const croppedWordsB = this._offsetWordBoxes(wordsB, pageCrop);
+
+        const croppedA = this._applyCrop(canvasA, pageCrop);
+        const croppedB = this._applyCrop(canvasB, pageCrop);
+        const targetWidth = Math.max(croppedA.width, croppedB.width);
+        const targetHeight = Math.max(croppedA.height, croppedB.height);
+
+        const paddedA = this._padCanvas(croppedA, targetWidth, targetHeight);
+        const paddedB = this._padCanvas(croppedB, targetWidth, targetHeight);
+
+        const highlightCanvasB = this._createCanvas(targetWidth, targetHeight);
+
+        // Word-level text diff, ignoring words outside the crop or under a mask
+        const visibleWordsA = this._filterTextWords(croppedWordsA, croppedA, pageMasks);
+        const visibleWordsB = this._filterTextWords(croppedWordsB, croppedB, pageMasks);
+
+        // Text matching an ignore pattern on both pages leaves the text diff and is masked in the pixel stage
+        const ignoreMatches = this._pairIgnoreMatches(visibleWordsA, visibleWordsB);
+        const ignoredWords = new Set(ignoreMatches.flatMap(match => [...match.wordsA, ...match.wordsB]));
+        const textWordsA = visibleWordsA.filter(word => !ignoredWords.has(word));
+        const textWordsB = visibleWordsB.filter(word => !ignoredWords.has(word));
+        const ignoreMasks = ignoreMatches.map(({ rule, wordsA, wordsB }) => ({
+            rule,
+            boxesA: wordsA.map(({ x, y, width, height }) => ({ x, y, width, height })),
+            boxesB: wordsB.map(({ x, y, width, height }) => ({ x, y, width, height }))
+        }));
+
+        const textChanges = this._buildTextChanges(textWordsA, textWordsB);
+
+        // Text blocks matched between the pages, each aligned on its own in the pixel stage
+        const blockPlan = this.options.localAlignment ? this._planBlockAlignment(textWordsA, textWordsB) : null;
+
+        // Offset search, diff build, dilation and connected components run in a worker when available
+        const { best, diffPixels, inkPixels, diffImage, shiftedB, boxes, blocks, suppressed } = await this._runPixelComparison(paddedA, paddedB, pageMasks, blockPlan, ignoreMasks);
+
+        const canvasDiff = this._createCanvas(targetWidth, targetHeight);
+        const ctxDiff = canvasDiff.getContext('2d');
+
+        const changes = this._classifyChanges(boxes, textWordsA, textWordsB, textChanges, best, blocks);
+        const highlightCtxB = highlightCanvasB.getContext('2d');
+
+        if (this.options.classifyChanges) {
+            this._drawChangeHighlights(ctxDiff, changes, 'boxesA');
+            this._drawChangeHighlights(highlightCtxB, changes, 'boxesB');
+        } else {
+            const wordHighlightsA = this._mapDiffsToWordBoxes(boxes, croppedWordsA);
+            this._drawHighlightBoxes(ctxDiff, wordHighlightsA, 'red');
+
+            const boxesForB = boxes.map(box => this._boxToB(box, best, blocks));
+            if (blocks) {
+                blocks.filter(block => block.type === 'inserted').forEach(block => boxesForB.push(block.boxB));
+            }
+            const wordHighlightsB = this._mapDiffsToWordBoxes(boxesForB, croppedWordsB);
+            this._drawHighlightBoxes(highlightCtxB, wordHighlightsB, 'green');
+        }
+
+        // Create overlays
+        const overlayOnA = this._overlayDiff(paddedA, canvasDiff);
+        const overlayOnB = this._overlayDiff(paddedB, highlightCanvasB);
+
+        const pageResult = {
+            pageNumA,
+            pageNumB,
+            diffPixels,
+            overlayA: overlayOnA.toDataURL('image/png'),
+            overlayB: overlayOnB.toDataURL('image/png'),
+            alignment: { dx: best.dx, dy: best.dy },
+            textChanges,
+            changes,
+            crop: pageCrop ? { x: pageCrop.x, y: pageCrop.y, width: pageCrop.width, height: pageCrop.height } : null,
+            masks: pageMasks.map(({ x, y, width, height }) => ({ x, y, width, height })),
+            suppressed,
+            stats: this._computePageStats({ diffPixels, inkPixels, width: targetWidth, height: targetHeight, changes, textChanges })
+        };
+
+        if (blocks) {
+            pageResult.blocks = blocks.map(({ type, boxA, boxB, alignment }) => ({ type, boxA, boxB, alignment }));
+        }
+
+        if (this.options.includeImages) {
+            // Unhighlighted layers in A's coordinate space for overlay/swipe views
+            pageResult.images = {
+                a: paddedA.toDataURL('image/png'),
+                b: this._imageDataToDataURL(shiftedB),
+                diff: this._imageDataToDataURL(diffImage)
+            };
+        }
+
+        return pageResult;
+    }
+
+    /**
+     * Pixel half of a page comparison. Only depends on ImageData and options,
+     * so the same code runs on the main thread and inside PDFDiffWorker.
+     */
+    _comparePixels(imgA, imgB, pageMasks, blockPlan = null, ignoreMasks = []) {
+        const { width, height } = imgA;
+        const paddedB = this._createCanvas(width, height);
+        paddedB.getContext('2d').putImageData(imgB, 0, 0);
+
+        const diffImage = paddedB.getContext('2d').createImageData(width, height);
+
+        // Find best alignment
+        const best = this.options.alignmentMethod === 'exhaustive'
+            ? this._findBestOffset(imgA, paddedB, width, height, this.options.colorTolerance)
+            : this._findBestOffsetPyramid(imgA, imgB, this.options.colorTolerance);
+        const shiftedB = this._getShiftedImageData(paddedB, width, height, best.dx, best.dy);
+
+        // Re-align B band by band so content below an inserted block still lines up
+        let blocks = null;
+        if (blockPlan) {
+            blocks = this._alignBlocks(imgA, imgB, blockPlan, best);
+            this._composeBlockAlignedImage(imgB, shiftedB, blocks);
+        }
+
+        // Masked pixels don't count as differences
+        let diffPixels = this._buildDiffImage(imgA, shiftedB, diffImage, this.options.colorTolerance)
+            - this._applyMasks(diffImage, pageMasks);
+
+        // Mask text matching an ignore pattern on both pages, with B's words moved into A's space.
+        // An occurrence counts as a suppressed change when it hid any diff pixels.
+        const suppressed = Object.fromEntries(this.options.ignorePatterns.map(({ name }) => [name, 0]));
+        ignoreMasks.forEach(({ rule, boxesA, boxesB }) => {
+            // Word boxes assume an average character width, so widen them to cover the actual glyphs
+            const boxes = [...boxesA, ...boxesB.map(box => this._boxToA(box, best, blocks))]
+                .map(box => this._toPixelBox(this._padBox(box, box.height / 2, 0)));
+            const cleared = this._applyMasks(diffImage, boxes);
+            diffPixels -= cleared;
+            if (cleared) suppressed[rule]++;
+        });
+
+        // Inserted blocks have no band in A's space, so their content is compared against a blank page
+        const inserted = blocks ? this._diffInsertedBlocks(imgB, blocks, pageMasks) : { diffPixels: 0, inkPixels: 0 };
+        diffPixels += inserted.diffPixels;
+
+        // Dilate diff mask
+        this._dilateDiffMask(diffImage, width, height, this.options.dilationRadius);
+
+        const boxes = this._extractDiffBoxes(diffImage, width, height, this.options.minHighlightArea);
+        const inkPixels = this._countInkPixels(imgA, shiftedB) + inserted.inkPixels;
+
+        return { best, diffPixels, inkPixels, diffImage, shiftedB, boxes, blocks, suppressed };
+    }
+
+    async _renderPageToCanvas(pdf, pageNum, canvas) {
+        const page = await pdf.getPage(pageNum);
+        const viewport = page.getViewport({ scale: this.options.scale });
+
+        canvas.width = Math.floor(viewport.width);
+        canvas.height = Math.floor(viewport.height);
+
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.imageSmoothingEnabled = false;
+
+        await page.render({ canvasContext: ctx, viewport }).promise;
+
+        const words = await this._extractWordBoxes(page, viewport);
+        return { words };
+    }
+
+    async _extractWordBoxes(page, viewport) {
+        const textContent = await page.getTextContent({ normalizeWhitespace: true });
+        const boxes = [];
+
+        textContent.items.forEach((item) => {
+            const text = (item.str || '').trim();
+            if (!text) return;
+
+            const transform = this.pdfjsLib.Util.transform(viewport.transform, item.transform);
+            const x = transform[4];
+            const y = transform[5];
+
+            const width = (item.width || 0) * viewport.scale;
+            const glyphHeight = Math.hypot(transform[2], transform[3]);
+            const height = glyphHeight || ((item.height || 0) * viewport.scale);
+
+            if (!width || !height) return;
+
+            const charWidth = width / text.length;
+            if (!isFinite(charWidth) || charWidth <= 0) return;
+
+            const baseY = y - height;
+            let cursorX = x;
+
+            text.split(/(\s+)/).forEach((segment) => {
+                if (!segment) return;
+
+                const segmentWidth = charWidth * segment.length;
+                if (!segment.trim()) {
+                    cursorX += segmentWidth;
+                    return;
+                }
+
+                const paddingX = charWidth * 0.18;
+                const paddingY = height * 0.15;
+                const box = this._padBox({
+                    x: cursorX,
+                    y: baseY,
+                    width: segmentWidth,
+                    height
+                }, paddingX, paddingY);
+
+                boxes.push({ ...box, text: segment });
+                cursorX += segmentWidth;
+            });
+        });
+
+        return boxes;
+    }
+
+    _fillBlankCanvas(canvas, width, height) {
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = this.options.backgroundFillColor;
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    _padCanvas(srcCanvas, targetWidth, targetHeight) {
+        if (srcCanvas.width === targetWidth && srcCanvas.height === targetHeight) {
+            return srcCanvas;
+        }
+
+        const padded = this._createCanvas(targetWidth, targetHeight);
+
+        const ctx = padded.getContext('2d');
+        ctx.fillStyle = this.options.backgroundFillColor;
+        ctx.fillRect(0, 0, targetWidth, targetHeight);
+        ctx.drawImage(srcCanvas, 0, 0);
+        return padded;
+    }
+
+    _getShiftedImageData(srcCanvas, width, height, dx, dy) {
+        const temp = this._createCanvas(width, height);
+        const ctx = temp.getContext('2d');
+        ctx.fillStyle = this.options.backgroundFillColor;
+        ctx.fillRect(0, 0, width, height);
+        ctx.drawImage(srcCanvas, dx, dy);
+        return ctx.getImageData(0, 0, width, height);
+    }
+
+    _pixelDelta(dataA, dataB, index) {
+        return Math.abs(dataA[index] - dataB[index]) +
+            Math.abs(dataA[index + 1] - dataB[index + 1]) +
+            Math.abs(dataA[index + 2] - dataB[index + 2]);
+    }
+
+    _countDiffPixels(imgA, imgB, tolerance) {
+        const dataA = imgA.data;
+        const dataB = imgB.data;
+        let diff = 0;
+        for (let i = 0; i < dataA.length; i += 4) {
+            if (this._pixelDelta(dataA, dataB, i) > tolerance) {
+                diff++;
+            }
+        }
+        return diff;
+    }
+
+    _findBestOffset(imgA, paddedB, width, height, tolerance) {
+        let best = { diff: Infinity, dx: 0, dy: 0 };
+        for (let dy = -this.options.maxShift; dy <= this.options.maxShift; dy++) {
+            for (let dx = -this.options.maxShift; dx <= this.options.maxShift; dx++) {
+                const shiftedB = this._getShiftedImageData(paddedB, width, height, dx, dy);
+                const diffCount = this._countDiffPixels(imgA, shiftedB, tolerance);
+                if (diffCount < best.diff) {
+                    best = { diff: diffCount, dx, dy };
+                }
+            }
+        }
+        return best;
+    }
+
+    _buildDiffImage(imgA, imgB, diffImage, tolerance) {
+        const target = diffImage.data;
+        const dataA = imgA.data;
+        const dataB = imgB.data;
+        const { width, height } = imgA;
+        const isDifferent = this._makePixelComparator(tolerance);
+        const ignoreAntialiasing = this.options.ignoreAntialiasing;
+        let diffPixels = 0;
+
+        for (let i = 0; i < dataA.length; i += 4) {
+            let different = isDifferent(dataA, dataB, i);
+            if (different && ignoreAntialiasing) {
+                const x = (i / 4) % width;
+                const y = Math.floor(i / 4 / width);
+                different = !this._isAntialiased(dataA, x, y, width, height, dataB) &&
+                    !this._isAntialiased(dataB, x, y, width, height, dataA);
+            }
+
+            if (different) {
+                target[i] = 255;
+                target[i + 1] = 0;
+                target[i + 2] = 0;
+                target[i + 3] = 255;
+                diffPixels++;
+            } else {
+                target[i] = 0;
+                target[i + 1] = 0;
+                target[i + 2] = 0;
+                target[i + 3] = 0;
+            }
+        }
+
+        return diffPixels;
+    }
+
+    _dilateDiffMask(diffImage, width, height, radius = 0) {
+        const src = diffImage.data;
+        const mask = new Uint8Array(width * height);
+
+        for (let i = 0; i < width * height; i++) {
+            if (src[i * 4] > 0) {
+                mask[i] = 1;
+            }
+        }
+
+        const expanded = new Uint8Array(mask);
+        if (radius > 0) {
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const idx = y * width + x;
+                    if (!mask[idx]) continue;
+                    const yMin = Math.max(0, y - radius);
+                    const yMax = Math.min(height - 1, y + radius);
+                    const xMin = Math.max(0, x - radius);
+                    const xMax = Math.min(width - 1, x + radius);
+                    for (let ny = yMin; ny <= yMax; ny++) {
+                        for (let nx = xMin; nx <= xMax; nx++) {
+                            expanded[ny * width + nx] = 1;
+                        }
+                    }
+                }
+            }
+        }
+
+        for (let i = 0; i < width * height; i++) {
+            const base = i * 4;
+            if (expanded[i]) {
+                src[base] = 255;
+                src[base + 1] = 0;
+                src[base + 2] = 0;
+                src[base + 3] = 255;
+            }
+        }
+    }
+
+    _extractDiffBoxes(diffImage, width, height, minArea = 25) {
+        const data = diffImage.data;
+        const visited = new Uint8Array(width * height);
+        const boxes = [];
+        const directions = [1, -1, width, -width];
+
+        for (let idx = 0; idx < width * height; idx++) {
+            if (visited[idx]) continue;
+            if (data[idx * 4 + 3] === 0) continue;
+
+            let minX = idx % width;
+            let maxX = minX;
+            let minY = Math.floor(idx / width);
+            let maxY = minY;
+
+            const stack = [idx];
+            visited[idx] = 1;
+
+            while (stack.length) {
+                const current = stack.pop();
+                const cx = current % width;
+                const cy = Math.floor(current / width);
+
+                if (cx < minX) minX = cx;
+                if (cx > maxX) maxX = cx;
+                if (cy < minY) minY = cy;
+                if (cy > maxY) maxY = cy;
+
+                for (const dir of directions) {
+                    const next = current + dir;
+                    if (next < 0 || next >= width * height) continue;
+                    const nx = next % width;
+                    const ny = Math.floor(next / width);
+                    if (Math.abs(nx - cx) + Math.abs(ny - cy) !== 1) continue;
+                    if (visited[next]) continue;
+                    if (data[next * 4 + 3] === 0) continue;
+                    visited[next] = 1;
+                    stack.push(next);
+                }
+            }
+
+            const area = (maxX - minX + 1) * (maxY - minY + 1);
+            if (area >= minArea) {
+                boxes.push({
+                    x: minX,
+                    y: minY,
+                    width: maxX - minX + 1,
+                    height: maxY - minY + 1
+                });
+            }
+        }
+
+        return boxes;
+    }
+
+    _drawHighlightBoxes(ctx, boxes, color = 'red') {
+        ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        const alpha = this.options.highlightAlpha;
+
+        // Use configured colors or fallback to color parameter
+        if (color === 'red') {
+            ctx.fillStyle = this._hexToRgba(this.options.highlightColorA, alpha);
+        } else if (color === 'green') {
+            ctx.fillStyle = this._hexToRgba(this.options.highlightColorB, alpha);
+        }
+
+        boxes.forEach(({ x, y, width, height }) => {
+            ctx.fillRect(x, y, width, height);
+        });
+    }
+
+    _drawChangeHighlights(ctx, changes, boxesKey) {
+        ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        const alpha = this.options.highlightAlpha;
+
+        changes.forEach((change) => {
+            ctx.fillStyle = this._hexToRgba(this.options.categoryColors[change.category], alpha);
+            change[boxesKey].forEach(({ x, y, width, height }) => {
+                ctx.fillRect(x, y, width, height);
+            });
+        });
+    }
+
+    _rectsIntersect(a, b) {
+        return (
+            a.x < b.x + b.width &&
+            a.x + a.width > b.x &&
+            a.y < b.y + b.height &&
+            a.y + a.height > b.y
+        );
+    }
+
+    _dedupeBoxes(boxes) {
+        const seen = new Set();
+        const result = [];
+        boxes.forEach((box) => {
+            const key = [Math.round(box.x), Math.round(box.y), Math.round(box.width), Math.round(box.height)].join(':');
+            if (seen.has(key)) return;
+            seen.add(key);
+            result.push({ x: box.x, y: box.y, width: box.width, height: box.height });
+        });
+        return result;
+    }
+
+    _padBox(box, paddingX, paddingY) {
+        const x = Math.max(0, box.x - paddingX);
+        const y = Math.max(0, box.y - paddingY);
+        return {
+            x,
+            y,
+            width: Math.max(1, box.width + paddingX * 2),
+            height: Math.max(1, box.height + paddingY * 2)
+        };
+    }
+
+    _mapDiffsToWordBoxes(diffBoxes, wordBoxes) {
+        if (!wordBoxes || !wordBoxes.length) {
+            return diffBoxes;
+        }
+
+        const matched = [];
+
+        diffBoxes.forEach((diffBox) => {
+            let found = false;
+            for (const word of wordBoxes) {
+                if (this._rectsIntersect(diffBox, word)) {
+                    if (word.width >= this.options.minWordSize && word.height >= this.options.minWordSize) {
+                        matched.push(word);
+                        found = true;
+                    }
+                }
+            }
+            if (!found) {
+                matched.push(diffBox);
+            }
+        });
+
+        return this._dedupeBoxes(matched);
+    }
+
+    _translateBoxes(boxes, dx, dy) {
+        return boxes.map((box) => ({
+            x: box.x + dx,
+            y: box.y + dy,
+            width: box.width,
+            height: box.height
+        }));
+    }
+
+    _offsetWordBoxes(words, crop) {
+        if (!crop) return words;
+        return words.map(box => ({
+            ...box,
+            x: box.x - crop.x,
+            y: box.y - crop.y
+        }));
+    }
+
+    _imageDataToDataURL(imageData) {
+        const canvas = this._createCanvas(imageData.width, imageData.height);
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+        return canvas.toDataURL('image/png');
+    }
+
+    _canvasToImageData(canvas) {
+        const ctx = canvas.getContext('2d');
+        return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    _applyCrop(canvas, region) {
+        if (!region) return canvas;
+        const cropped = this._createCanvas(region.width, region.height);
+        const ctx = cropped.getContext('2d');
+        ctx.drawImage(
+            canvas,
+            region.x, region.y, region.width, region.height,
+            0, 0, region.width, region.height
+        );
+        return cropped;
+    }
+
+    /**
+     * Clear the diff mask inside each region
+     * @returns {number} Number of diff pixels cleared
+     */
+    _applyMasks(diffImage, masks) {
+        if (!masks?.length) return 0;
+        const data = diffImage.data;
+        let cleared = 0;
+        masks.forEach(({ x, y, width, height }) => {
+            // Masks may reach past a crop, so clip them to the image
+            const endRow = Math.min(y + height, diffImage.height);
+            const endCol = Math.min(x + width, diffImage.width);
+            for (let row = Math.max(0, y); row < endRow; row++) {
+                for (let col = Math.max(0, x); col < endCol; col++) {
+                    const idx = (row * diffImage.width + col) * 4;
+                    if (data[idx + 3]) cleared++;
+                    data[idx] = data[idx + 1] = data[idx + 2] = data[idx + 3] = 0;
+                }
+            }
+        });
+        return cleared;
+    }
+
+    _overlayDiff(baseCanvas, diffCanvas, opacity = 0.3) {
+        const overlay = this._createCanvas(baseCanvas.width, baseCanvas.height);
+
+        const ctx = overlay.getContext('2d');
+        ctx.drawImage(baseCanvas, 0, 0);
+        ctx.globalAlpha = opacity;
+        ctx.drawImage(diffCanvas, 0, 0);
+        ctx.globalAlpha = 1;
+        ctx.imageSmoothingEnabled = false;
+
+        return overlay;
+    }
+
+    // ===== OFFSET SEARCH METHODS =====
+
+    /**
+     * Coarse-to-fine alternative to `_findBestOffset`: scan a small window on
+     * a downsampled grayscale pyramid, then refine by ±1 pixel per level. The
+     * last level uses the same thresholded pixel count as the exhaustive scan.
+     * Shifts are applied by indexing, so no canvas is redrawn per candidate.
+     */
+    _findBestOffsetPyramid(imgA, imgB, tolerance) {
+        const { width, height } = imgA;
+        const maxShift = this.options.maxShift;
+        const background = this._getBackgroundRgb();
+
+        // Halve until the remaining search radius is small, or the page gets too small to tell shifts apart
+        let levels = 0;
+        while (Math.ceil(maxShift / 2 ** levels) > 2 && Math.min(width, height) / 2 ** (levels + 1) >= 32) {
+            levels++;
+        }
+
+        const backgroundGray = this._toGray(background[0], background[1], background[2]);
+        const pyramid = [];
+        let level = { a: this._grayscale(imgA), b: this._grayscale(imgB), width, height };
+        for (let i = 1; i <= levels; i++) {
+            level = {
+                a: this._downsample(level.a, level.width, level.height),
+                b: this._downsample(level.b, level.width, level.height),
+                width: level.width >> 1,
+                height: level.height >> 1
+            };
+            pyramid[i] = level;
+        }
+
+        // Exhaustive scan at the coarsest level (or at full size when no level was needed)
+        const radius = Math.ceil(maxShift / 2 ** levels);
+        const coarseCost = levels
+            ? (dx, dy) => this._grayShiftCost(pyramid[levels], dx, dy, backgroundGray)
+            : (dx, dy) => this._countShiftedDiffPixels(imgA, imgB, dx, dy, tolerance, background);
+        let best = this._searchOffsets(coarseCost, 0, 0, radius, radius);
+
+        for (let i = levels - 1; i >= 0; i--) {
+            const cost = i
+                ? (dx, dy) => this._grayShiftCost(pyramid[i], dx, dy, backgroundGray)
+                : (dx, dy) => this._countShiftedDiffPixels(imgA, imgB, dx, dy, tolerance, background);
+            best = this._searchOffsets(cost, best.dx * 2, best.dy * 2, 1, Math.ceil(maxShift / 2 ** i));
+        }
+
+        return best;
+    }
+
+    /**
+     * Try every shift within `radius` of (cx, cy), clamped to ±limit; ties go to the smaller shift
+     */
+    _searchOffsets(cost, cx, cy, radius, limit) {
+        let best = { diff: Infinity, dx: 0, dy: 0 };
+        for (let dy = Math.max(-limit, cy - radius); dy <= Math.min(limit, cy + radius); dy++) {
+            for (let dx = Math.max(-limit, cx - radius); dx <= Math.min(limit, cx + radius); dx++) {
+                const diff = cost(dx, dy);
+                const closer = Math.abs(dx) + Math.abs(dy) < Math.abs(best.dx) + Math.abs(best.dy);
+                if (diff < best.diff || (diff === best.diff && closer)) {
+                    best = { diff, dx, dy };
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Same count as `_countDiffPixels(imgA, _getShiftedImageData(...))`, without
+     * drawing; `startRow`/`endRow` limit it to a band of A
+     */
+    _countShiftedDiffPixels(imgA, imgB, dx, dy, tolerance, background, startRow = 0, endRow = imgA.height) {
+        const { width, height } = imgA;
+        const dataA = imgA.data;
+        const dataB = imgB.data;
+        let diff = 0;
+
+        for (let y = startRow; y < endRow; y++) {
+            const sy = y - dy;
+            const rowInside = sy >= 0 && sy < height;
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const sx = x - dx;
+                let delta;
+                if (rowInside && sx >= 0 && sx < width) {
+                    const j = (sy * width + sx) * 4;
+                    delta = Math.abs(dataA[i] - dataB[j]) +
+                        Math.abs(dataA[i + 1] - dataB[j + 1]) +
+                        Math.abs(dataA[i + 2] - dataB[j + 2]);
+                } else {
+                    delta = Math.abs(dataA[i] - background[0]) +
+                        Math.abs(dataA[i + 1] - background[1]) +
+                        Math.abs(dataA[i + 2] - background[2]);
+                }
+                if (delta > tolerance) {
+                    diff++;
+                }
+            }
+        }
+        return diff;
+    }
+
+    /**
+     * Sum of absolute grayscale differences for a shift at one pyramid level
+     */
+    _grayShiftCost(level, dx, dy, backgroundGray) {
+        const { a, b, width, height } = level;
+        let cost = 0;
+
+        for (let y = 0; y < height; y++) {
+            const sy = y - dy;
+            const rowInside = sy >= 0 && sy < height;
+            for (let x = 0; x < width; x++) {
+                const sx = x - dx;
+                const value = rowInside && sx >= 0 && sx < width ? b[sy * width + sx] : backgroundGray;
+                cost += Math.abs(a[y * width + x] - value);
+            }
+        }
+        return cost;
+    }
+
+    _toGray(r, g, b) {
+        return 0.299 * r + 0.587 * g + 0.114 * b;
+    }
+
+    _grayscale(imageData) {
+        const { data, width, height } = imageData;
+        const gray = new Float32Array(width * height);
+        for (let i = 0, p = 0; p < gray.length; i += 4, p++) {
+            gray[p] = this._toGray(data[i], data[i + 1], data[i + 2]);
+        }
+        return gray;
+    }
+
+    /**
+     * Halve a grayscale image by averaging 2x2 blocks (odd edges are dropped)
+     */
+    _downsample(gray, width, height) {
+        const w = width >> 1;
+        const h = height >> 1;
+        const out = new Float32Array(w * h);
+        for (let y = 0; y < h; y++) {
+            const row = 2 * y * width;
+            for (let x = 0; x < w; x++) {
+                const i = row + 2 * x;
+                out[y * w + x] = (gray[i] + gray[i + 1] + gray[i + width] + gray[i + width + 1]) / 4;
+            }
+        }
+        return out;
+    }
+
+    _getBackgroundRgb() {
+        const canvas = this._createCanvas(1, 1);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = this.options.backgroundFillColor;
+        ctx.fillRect(0, 0, 1, 1);
+        const [r, g, b] = ctx.getImageData(0, 0, 1, 1).data;
+        return [r, g, b];
+    }
+
+    // ===== BLOCK ALIGNMENT METHODS =====
+
+    /**
+     * Split both pages into text blocks and match them in reading order.
+     * Returns `[{ type: 'matched'|'deleted'|'inserted', boxA, boxB }]`, plain
+     * data so it can be posted to a worker.
+     */
+    _planBlockAlignment(wordsA, wordsB) {
+        const blocksA = this._segmentBlocks(wordsA);
+        const blocksB = this._segmentBlocks(wordsB);
+        return this._matchBlocks(blocksA, blocksB).map(({ type, a, b }) => ({
+            type,
+            boxA: a ? a.box : null,
+            boxB: b ? b.box : null
+        }));
+    }
+
+    /**
+     * Group words into lines by vertical overlap, then lines into blocks
+     * wherever the gap between lines is smaller than the line height
+     */
+    _segmentBlocks(words) {
+        const sorted = words.slice().sort((a, b) => (a.y - b.y) || (a.x - b.x));
+        const lines = [];
+        sorted.forEach((word) => {
+            const centerY = word.y + word.height / 2;
+            const line = lines[lines.length - 1];
+            if (line && centerY >= line.y && centerY <= line.y + line.height) {
+                line.words.push(word);
+                line.height = Math.max(line.height, word.y + word.height - line.y);
+            } else {
+                lines.push({ y: word.y, height: word.height, words: [word] });
+            }
+        });
+
+        const blocks = [];
+        lines.forEach((line) => {
+            const block = blocks[blocks.length - 1];
+            const gap = block ? line.y - (block.box.y + block.box.height) : Infinity;
+            if (block && gap < line.height * 0.75) {
+                block.words.push(...line.words);
+                block.box = this._unionBoxes([block.box, ...line.words]);
+            } else {
+                blocks.push({ words: line.words.slice(), box: this._unionBoxes(line.words) });
+            }
+        });
+
+        blocks.forEach((block) => {
+            block.text = block.words.map(word => word.text).join(' ');
+        });
+        return blocks;
+    }
+
+    _unionBoxes(boxes) {
+        const x = Math.min(...boxes.map(box => box.x));
+        const y = Math.min(...boxes.map(box => box.y));
+        const right = Math.max(...boxes.map(box => box.x + box.width));
+        const bottom = Math.max(...boxes.map(box => box.y + box.height));
+        return { x, y, width: right - x, height: bottom - y };
+    }
+
+    /**
+     * Order-preserving block match maximising total text similarity
+     */
+    _matchBlocks(blocksA, blocksB) {
+        const n = blocksA.length;
+        const m = blocksB.length;
+        const minSimilarity = 0.5;
+        const similarity = (i, j) => (
+            blocksA[i].text === blocksB[j].text ? 1 : this._calculateTextSimilarity(blocksA[i].text, blocksB[j].text)
+        );
+
+        const score = Array.from({ length: n + 1 }, () => new Float64Array(m + 1));
+        const sims = Array.from({ length: n }, () => new Float64Array(m));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                sims[i][j] = similarity(i, j);
+                const matched = sims[i][j] >= minSimilarity ? score[i + 1][j + 1] + sims[i][j] : -Infinity;
+                score[i][j] = Math.max(matched, score[i + 1][j], score[i][j + 1]);
+            }
+        }
+
+        const entries = [];
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (sims[i][j] >= minSimilarity && score[i][j] === score[i + 1][j + 1] + sims[i][j]) {
+                entries.push({ type: 'matched', a: blocksA[i++], b: blocksB[j++] });
+            } else if (score[i][j] === score[i + 1][j]) {
+                entries.push({ type: 'deleted', a: blocksA[i++], b: null });
+            } else {
+                entries.push({ type: 'inserted', a: null, b: blocksB[j++] });
+            }
+        }
+        while (i < n) entries.push({ type: 'deleted', a: blocksA[i++], b: null });
+        while (j < m) entries.push({ type: 'inserted', a: null, b: blocksB[j++] });
+        return entries;
+    }
+
+    /**
+     * Give every A-side block a band of rows (split halfway through the gaps
+     * between blocks) and search each matched block's own offset around
+     * where its text moved to. Deleted blocks keep no offset.
+     */
+    _alignBlocks(imgA, imgB, blockPlan, globalOffset) {
+        const { height } = imgA;
+        const tolerance = this.options.colorTolerance;
+        const maxShift = this.options.maxShift;
+        const background = this._getBackgroundRgb();
+
+        const blocks = blockPlan.map(entry => ({ ...entry, rows: null, alignment: null }));
+        const blocksA = blocks.filter(block => block.boxA);
+        blocksA.forEach((block, index) => {
+            const prev = blocksA[index - 1];
+            const next = blocksA[index + 1];
+            const start = prev ? Math.round((prev.boxA.y + prev.boxA.height + block.boxA.y) / 2) : 0;
+            const end = next ? Math.round((block.boxA.y + block.boxA.height + next.boxA.y) / 2) : height;
+            block.rows = [Math.max(0, Math.min(height, start)), Math.max(0, Math.min(height, end))];
+        });
+
+        blocks.filter(block => block.type === 'matched').forEach((block) => {
+            const [startRow, endRow] = block.rows;
+            const cost = (dx, dy) => this._countShiftedDiffPixels(imgA, imgB, dx, dy, tolerance, background, startRow, endRow);
+            const dy0 = Math.round(block.boxA.y - block.boxB.y);
+            const { dx, dy } = this._searchOffsets(cost, globalOffset.dx, dy0, maxShift, Infinity);
+            block.alignment = { dx, dy };
+        });
+
+        return blocks;
+    }
+
+    /**
+     * Rebuild the shifted B image band by band: matched blocks use their own
+     * offset and deleted blocks are blank, so they diff as pure removals
+     */
+    _composeBlockAlignedImage(imgB, shiftedB, blocks) {
+        const { width, height } = imgB;
+        const src = imgB.data;
+        const out = shiftedB.data;
+        const background = this._getBackgroundRgb();
+
+        blocks.filter(block => block.rows).forEach((block) => {
+            const [startRow, endRow] = block.rows;
+            for (let y = startRow; y < endRow; y++) {
+                const sy = block.alignment ? y - block.alignment.dy : -1;
+                for (let x = 0; x < width; x++) {
+                    const i = (y * width + x) * 4;
+                    const sx = block.alignment ? x - block.alignment.dx : -1;
+                    if (sy >= 0 && sy < height && sx >= 0 && sx < width) {
+                        const j = (sy * width + sx) * 4;
+                        out[i] = src[j];
+                        out[i + 1] = src[j + 1];
+                        out[i + 2] = src[j + 2];
+                        out[i + 3] = src[j + 3];
+                    } else {
+                        out[i] = background[0];
+                        out[i + 1] = background[1];
+                        out[i + 2] = background[2];
+                        out[i + 3] = 255;
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Count the pixels of inserted blocks (in B's coordinates) that differ
+     * from a blank page. Pixels a matched band already moved into A's space,
+     * and masked pixels, are left out.
+     * @returns {Object} `{ diffPixels, inkPixels }`
+     */
+    _diffInsertedBlocks(imgB, blocks, masks) {
+        const { width, height, data } = imgB;
+        const [r, g, b] = this._getBackgroundRgb();
+        const tolerance = this.options.colorTolerance;
+        const isDifferent = this._makePixelComparator(tolerance);
+        const blank = new Uint8ClampedArray([r, g, b, 255]);
+        const pixel = new Uint8ClampedArray(4);
+        const bands = blocks.filter(block => block.rows && block.alignment);
+        const counted = new Uint8Array(width * height);
+        let diffPixels = 0;
+        let inkPixels = 0;
+
+        blocks.filter(block => block.type === 'inserted').forEach((block) => {
+            const box = this._toPixelBox(block.boxB);
+            const endRow = Math.min(box.y + box.height, height);
+            const endCol = Math.min(box.x + box.width, width);
+            for (let y = Math.max(0, box.y); y < endRow; y++) {
+                const rowBands = bands.filter(({ rows, alignment }) => y + alignment.dy >= rows[0] && y + alignment.dy < rows[1]);
+                for (let x = Math.max(0, box.x); x < endCol; x++) {
+                    const index = y * width + x;
+                    if (counted[index]) continue;
+                    counted[index] = 1;
+                    if (rowBands.some(({ alignment }) => x + alignment.dx >= 0 && x + alignment.dx < width)) continue;
+                    if (masks.some(mask => x >= mask.x && x < mask.x + mask.width && y >= mask.y && y < mask.y + mask.height)) continue;
+
+                    const i = index * 4;
+                    pixel[0] = data[i];
+                    pixel[1] = data[i + 1];
+                    pixel[2] = data[i + 2];
+                    pixel[3] = data[i + 3];
+                    if (isDifferent(blank, pixel, 0)) diffPixels++;
+                    if (Math.abs(pixel[0] - r) + Math.abs(pixel[1] - g) + Math.abs(pixel[2] - b) > tolerance) inkPixels++;
+                }
+            }
+        });
+
+        return { diffPixels, inkPixels };
+    }
+
+    // ===== TEXT DIFF METHODS =====
+
+    /**
+     * Keep only words that are visible in the compared area and not masked
+     */
+    _filterTextWords(words, canvas, masks) {
+        const bounds = { x: 0, y: 0, width: canvas.width, height: canvas.height };
+        return words.filter(word => (
+            this._rectsIntersect(word, bounds) &&
+            !masks.some(mask => this._rectsIntersect(word, mask))
+        ));
+    }
+
+    /**
+     * Diff two word sequences by longest common subsequence.
+     * Returns an edit script of { type: 'equal'|'delete'|'insert', indexA, indexB }
+     */
+    _diffWords(wordsA, wordsB) {
+        const a = wordsA.map(word => word.text);
+        const b = wordsB.map(word => word.text);
+        const ops = [];
+
+        // Trim common prefix and suffix so the LCS table only covers the changed middle
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) {
+            ops.push({ type: 'equal', indexA: start, indexB: start });
+            start++;
+        }
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const n = endA - start;
+        const m = endB - start;
+        const cols = m + 1;
+
+        if ((n + 1) * cols > 25e6) {
+            // Too large for a full table - report the whole middle as replaced
+            for (let i = start; i < endA; i++) ops.push({ type: 'delete', indexA: i });
+            for (let j = start; j < endB; j++) ops.push({ type: 'insert', indexB: j });
+        } else {
+            const table = new Uint16Array((n + 1) * cols);
+            for (let i = n - 1; i >= 0; i--) {
+                for (let j = m - 1; j >= 0; j--) {
+                    table[i * cols + j] = a[start + i] === b[start + j]
+                        ? table[(i + 1) * cols + j + 1] + 1
+                        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+                }
+            }
+
+            let i = 0;
+            let j = 0;
+            while (i < n && j < m) {
+                if (a[start + i] === b[start + j]) {
+                    ops.push({ type: 'equal', indexA: start + i, indexB: start + j });
+                    i++;
+                    j++;
+                } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+                    ops.push({ type: 'delete', indexA: start + i });
+                    i++;
+                } else {
+                    ops.push({ type: 'insert', indexB: start + j });
+                    j++;
+                }
+            }
+            for (; i < n; i++) ops.push({ type: 'delete', indexA: start + i });
+            for (; j < m; j++) ops.push({ type: 'insert', indexB: start + j });
+        }
+
+        for (let k = 0; k < a.length - endA; k++) {
+            ops.push({ type: 'equal', indexA: endA + k, indexB: endB + k });
+        }
+
+        return ops;
+    }
+
+    /**
+     * Group the word edit script into inserted, deleted and replaced runs
+     * with their boxes in both documents
+     */
+    _buildTextChanges(wordsA, wordsB) {
+        const changes = [];
+        let deleted = [];
+        let inserted = [];
+
+        const flush = () => {
+            if (!deleted.length && !inserted.length) return;
+
+            let type = 'replace';
+            if (!deleted.length) type = 'insert';
+            if (!inserted.length) type = 'delete';
+
+            changes.push({
+                type,
+                textA: deleted.map(word => word.text).join(' '),
+                textB: inserted.map(word => word.text).join(' '),
+                boxesA: this._dedupeBoxes(deleted),
+                boxesB: this._dedupeBoxes(inserted)
+            });
+            deleted = [];
+            inserted = [];
+        };
+
+        this._diffWords(wordsA, wordsB).forEach((op) => {
+            if (op.type === 'equal') {
+                flush();
+            } else if (op.type === 'delete') {
+                deleted.push(wordsA[op.indexA]);
+            } else {
+                inserted.push(wordsB[op.indexB]);
+            }
+        });
+        flush();
+
+        return changes;
+    }
+
+    // ===== CHANGE CLASSIFICATION METHODS =====
+
+    /**
+     * Label each changed region by cross-referencing the pixel diff boxes with
+     * the word boxes and text diff of both pages. Categories:
+     * insertion, deletion, modification, move (text or content that changed
+     * position), style (same text, different rendering) and graphic (no text)
+     */
+    _classifyChanges(diffBoxes, wordsA, wordsB, textChanges, offset, blocks = null) {
+        const diffBoxesB = diffBoxes.map(box => this._boxToB(box, offset, blocks));
+        const touchesDiff = (boxes, regions) => boxes.some(box => regions.some(region => this._rectsIntersect(box, region)));
+
+        // Blocks only found in B have no pixels in A's space, so they count as changed regions of their own
+        const insertedBlocks = blocks ? blocks.filter(block => block.type === 'inserted') : [];
+        const changedRegionsB = diffBoxesB.concat(insertedBlocks.map(block => block.boxB));
+
+        // Only keep text edits that actually changed pixels; reordered content
+        // streams can produce text diffs for text that looks identical
+        const visibleTextChanges = textChanges.filter(change => (
+            touchesDiff(change.boxesA, diffBoxes) || touchesDiff(change.boxesB, changedRegionsB)
+        ));
+
+        // Text deleted in one place and inserted elsewhere was moved
+        const deletedTexts = new Set(visibleTextChanges.filter(c => c.type === 'delete').map(c => c.textA));
+        const insertedTexts = new Set(visibleTextChanges.filter(c => c.type === 'insert').map(c => c.textB));
+        const textCategories = { replace: 'modification', insert: 'insertion', delete: 'deletion' };
+
+        const changes = visibleTextChanges.map((change) => {
+            let category = textCategories[change.type];
+            if (change.type === 'delete' && insertedTexts.has(change.textA)) category = 'move';
+            if (change.type === 'insert' && deletedTexts.has(change.textB)) category = 'move';
+            return {
+                category,
+                textA: change.textA,
+                textB: change.textB,
+                boxesA: change.boxesA,
+                boxesB: change.boxesB
+            };
+        });
+
+        // Pixel differences that no text edit explains
+        diffBoxes.forEach((box, index) => {
+            const boxB = diffBoxesB[index];
+            const explained = changes.some(change => (
+                touchesDiff(change.boxesA, [box]) || touchesDiff(change.boxesB, [boxB])
+            ));
+            if (explained) return;
+
+            const hitA = wordsA.filter(word => this._rectsIntersect(box, word));
+            const hitB = wordsB.filter(word => this._rectsIntersect(boxB, word));
+
+            if (hitA.length || hitB.length) {
+                const textA = hitA.map(word => word.text).join(' ');
+                const textB = hitB.map(word => word.text).join(' ');
+                changes.push({
+                    // Same words at the same spot only rendered differently;
+                    // different words here means surrounding content shifted
+                    category: textA === textB ? 'style' : 'move',
+                    textA,
+                    textB,
+                    boxesA: hitA.length ? this._dedupeBoxes(hitA) : [box],
+                    boxesB: hitB.length ? this._dedupeBoxes(hitB) : [boxB]
+                });
+            } else {
+                changes.push({
+                    category: 'graphic',
+                    textA: '',
+                    textB: '',
+                    boxesA: [box],
+                    boxesB: [boxB]
+                });
+            }
+        });
+
+        // Inserted blocks the text diff did not already report
+        insertedBlocks.forEach((block) => {
+            if (changes.some(change => touchesDiff(change.boxesB, [block.boxB]))) return;
+
+            const hitB = wordsB.filter(word => this._rectsIntersect(block.boxB, word));
+            changes.push({
+                category: 'insertion',
+                textA: '',
+                textB: hitB.map(word => word.text).join(' '),
+                boxesA: [],
+                boxesB: hitB.length ? this._dedupeBoxes(hitB) : [block.boxB]
+            });
+        });
+
+        return changes;
+    }
+
+    /**
+     * Map a box from A's padded space into B, using the offset of the matched
+     * block it falls in when local alignment is on
+     */
+    _boxToB(box, offset, blocks = null) {
+        const centerY = box.y + box.height / 2;
+        const block = blocks && blocks.find(b => b.type === 'matched' && centerY >= b.rows[0] && centerY < b.rows[1]);
+        const { dx, dy } = block ? block.alignment : offset;
+        return { x: box.x - dx, y: box.y - dy, width: box.width, height: box.height };
+    }
+
+    /**
+     * Inverse of _boxToB: move a box from B's coordinates into A's
+     */
+    _boxToA(box, offset, blocks = null) {
+        const centerY = box.y + box.height / 2;
+        const block = blocks && blocks.find(b => (
+            b.type === 'matched' && centerY + b.alignment.dy >= b.rows[0] && centerY + b.alignment.dy < b.rows[1]
+        ));
+        const { dx, dy } = block ? block.alignment : offset;
+        return { x: box.x + dx, y: box.y + dy, width: box.width, height: box.height };
+    }
+
+    // ===== REPORT METHODS =====
+
+    _escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    _describeChange(change) {
+        const labels = {
+            insertion: 'Inserted',
+            deletion: 'Deleted',
+            modification: 'Modified',
+            move: 'Moved',
+            style: 'Style / colour change',
+            graphic: 'Graphic change'
+        };
+        const label = labels[change.category] || change.category;
+        if (change.category === 'modification') {
+            return `${label}: '${change.textA}' → '${change.textB}'`;
+        }
+        const text = change.textA || change.textB;
+        return text ? `${label}: '${text}'` : label;
+    }
+
+    /**
+     * Convert a point in rendered (and uncropped) page pixels back to PDF user
+     * space, undoing the render scale and page rotation of the PDF.js viewport
+     */
+    _pixelToPdfPoint(x, y, scale, pageBox, rotation = 0) {
+        const u = x / scale;
+        const v = y / scale;
+        const x0 = pageBox.x;
+        const y0 = pageBox.y;
+        const x1 = pageBox.x + pageBox.width;
+        const y1 = pageBox.y + pageBox.height;
+
+        switch (rotation) {
+            case 90: return [x0 + v, y0 + u];
+            case 180: return [x1 - u, y0 + v];
+            case 270: return [x1 - v, y1 - u];
+            default: return [x0 + u, y1 - v];
+        }
+    }
+
+    _formatBytes(bytes) {
+        if (!bytes) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB'];
+        const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+        return `${(bytes / 1024 ** exponent).toFixed(exponent ? 1 : 0)} ${units[exponent]}`;
+    }
+
+    _buildHtmlReport(results, reportOptions) {
+        const esc = value => this._escapeHtml(value);
+        const labels = { a: 'Document A', b: 'Document B', ...reportOptions.labels };
+        const title = reportOptions.title || 'PDF Comparison Report';
+        const documents = results.documents || {};
+        const totalChanges = results.pageResults.reduce((sum, page) => sum + (page.changes?.length || 0), 0);
+
+        const documentRows = ['name', 'size', 'pages', 'title', 'author', 'producer', 'creationDate', 'modificationDate']
+            .map((key) => {
+                const format = doc => (key === 'size' ? this._formatBytes(doc?.size) : doc?.[key]);
+                return `<tr><th>${esc(key)}</th><td>${esc(format(documents.a))}</td><td>${esc(format(documents.b))}</td></tr>`;
+            }).join('');
+
+        const optionRows = Object.entries(results.options || {})
+            .map(([key, value]) => `<tr><th>${esc(key)}</th><td><code>${esc(JSON.stringify(value))}</code></td></tr>`)
+            .join('');
+
+        const mappingRows = results.pageResults.map(page => `<tr>
+                <td>${esc(page.pageNumA ?? '—')}</td>
+                <td>${esc(page.pageNumB ?? '—')}</td>
+                <td>${page.similarity !== undefined && page.type !== 'inserted' && page.type !== 'deleted' ? esc((page.similarity * 100).toFixed(1)) + '%' : '—'}</td>
+                <td>${esc(page.diffPixels)}</td>
+                <td>${esc(page.stats.percentChanged.toFixed(2))}%</td>
+                <td>${esc(page.changes?.length || 0)}</td>
+            </tr>`).join('');
+
+        const pageSections = results.pageResults.map((page) => {
+            let heading = page.pageNumA === page.pageNumB
+                ? `Page ${page.pageNumA}`
+                : `Page ${page.pageNumA} ↔ Page ${page.pageNumB}`;
+            if (page.type === 'deleted') heading = `Page ${page.pageNumA} (only in ${labels.a})`;
+            if (page.type === 'inserted') heading = `Page ${page.pageNumB} (only in ${labels.b})`;
+            const figure = (label, overlay, present) => (present
+                ? `<figure><figcaption>${esc(label)}</figcaption><img src="${esc(overlay)}" alt="${esc(label)} ${esc(heading)}"></figure>`
+                : `<figure><figcaption>${esc(label)}</figcaption><div class="missing">No corresponding page</div></figure>`);
+            const changes = (page.changes || []).map((change) => {
+                const text = change.category === 'modification'
+                    ? `'${change.textA}' → '${change.textB}'`
+                    : (change.textA || change.textB ? `'${change.textA || change.textB}'` : '');
+                const color = this.options.categoryColors[change.category];
+                return `<li><span class="tag" style="background:${esc(color)}">${esc(change.category)}</span> ${esc(text)}</li>`;
+            }).join('');
+
+            return `<section class="page">
+    <h2>${esc(heading)} <small>${esc(page.diffPixels)} diff pixel(s)</small></h2>
+    <div class="pair">
+        ${figure(labels.a, page.overlayA, page.type !== 'inserted')}
+        ${figure(labels.b, page.overlayB, page.type !== 'deleted')}
+    </div>
+    ${changes ? `<ul class="changes">${changes}</ul>` : '<p class="none">No changes detected.</p>'}
+</section>`;
+        }).join('\n');
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${esc(title)}</title>
+<style>
+    body { font-family: Arial, sans-serif; max-width: 1400px; margin: 0 auto; padding: 20px; color: #222; }
+    table { border-collapse: collapse; margin-bottom: 20px; }
+    th, td { border: 1px solid #ddd; padding: 4px 10px; text-align: left; vertical-align: top; }
+    th { background: #f5f5f5; }
+    .summary { background: #e3f2fd; padding: 15px; border-radius: 4px; margin-bottom: 20px; }
+    .page { border-top: 2px solid #ddd; padding-top: 15px; margin-top: 25px; }
+    .pair { display: grid; grid-template-columns: 1fr 1fr; gap: 15px; }
+    figure { margin: 0; }
+    figcaption { font-weight: bold; }
+    img { width: 100%; border: 1px solid #ccc; background: #fff; }
+    .tag { color: #fff; border-radius: 3px; padding: 0 6px; font-size: 12px; }
+    .changes { font-family: monospace; }
+    .none { color: #999; }
+    .missing { padding: 40px; text-align: center; background: #f5f5f5; border: 1px solid #ccc; color: #999; }
+</style>
+</head>
+<body>
+<h1>${esc(title)}</h1>
+<div class="summary">
+    <strong>${esc(results.totalPages)}</strong> page(s) compared,
+    <strong>${esc(results.totalDiffPixels)}</strong> diff pixel(s),
+    <strong>${esc(totalChanges)}</strong> change(s),
+    <strong>${esc((results.stats.similarity * 100).toFixed(1))}%</strong> similarity.
+    Generated ${esc(new Date().toISOString())}.
+</div>
+
+<h2>Documents</h2>
+<table>
+    <tr><th></th><th>${esc(labels.a)}</th><th>${esc(labels.b)}</th></tr>
+    ${documentRows}
+</table>
+
+<h2>Page Mapping</h2>
+<table>
+    <tr><th>${esc(labels.a)} page</th><th>${esc(labels.b)} page</th><th>Similarity</th><th>Diff pixels</th><th>Pixels changed</th><th>Changes</th></tr>
+    ${mappingRows}
+</table>
+
+<h2>Options</h2>
+<table>
+    ${optionRows}
+</table>
+
+${pageSections}
+</body>
+</html>
+`;
+    }
+
+    // ===== STATISTICS METHODS =====
+
+    /**
+     * Pixels that are not background in either image: the page content a
+     * similarity score is measured against
+     */
+    _countInkPixels(imgA, imgB) {
+        const [r, g, b] = this._getBackgroundRgb();
+        const tolerance = this.options.colorTolerance;
+        const dataA = imgA.data;
+        const dataB = imgB.data;
+        let ink = 0;
+
+        for (let i = 0; i < dataA.length; i += 4) {
+            if (Math.abs(dataA[i] - r) + Math.abs(dataA[i + 1] - g) + Math.abs(dataA[i + 2] - b) > tolerance ||
+                Math.abs(dataB[i] - r) + Math.abs(dataB[i + 1] - g) + Math.abs(dataB[i + 2] - b) > tolerance) {
+                ink++;
+            }
+        }
+        return ink;
+    }
+
+    /**
+     * Normalized statistics for one page pair. Areas are in square PDF points,
+     * so they don't depend on `scale`.
+     */
+    _computePageStats({ diffPixels, inkPixels, width, height, changes, textChanges }) {
+        const scale = this.options.scale;
+        const countWords = text => text.split(' ').filter(Boolean).length;
+        const pixels = width * height;
+        // Changed pixels on a blank background still count as content
+        const content = Math.max(inkPixels, diffPixels);
+
+        return {
+            pixels,
+            inkPixels,
+            diffPixels,
+            percentChanged: pixels ? diffPixels / pixels * 100 : 0,
+            changeRegions: changes.length,
+            changedArea: diffPixels / (scale * scale),
+            wordsAdded: textChanges.reduce((sum, change) => sum + countWords(change.textB), 0),
+            wordsRemoved: textChanges.reduce((sum, change) => sum + countWords(change.textA), 0),
+            similarity: content ? 1 - diffPixels / content : 1
+        };
+    }
+
+    /**
+     * Add up page statistics into document totals
+     */
+    _computeDocumentStats(pageResults) {
+        const sum = key => pageResults.reduce((total, pageResult) => total + (pageResult.stats?.[key] || 0), 0);
+        const pixels = sum('pixels');
+        const diffPixels = sum('diffPixels');
+        const content = pageResults.reduce((total, { stats }) => total + (stats ? Math.max(stats.inkPixels, stats.diffPixels) : 0), 0);
+
+        return {
+            totalPages: pageResults.length,
+            pagesChanged: pageResults.filter(pageResult => pageResult.diffPixels > 0 || (pageResult.type && pageResult.type !== 'matched')).length,
+            pagesInserted: pageResults.filter(pageResult => pageResult.type === 'inserted').length,
+            pagesDeleted: pageResults.filter(pageResult => pageResult.type === 'deleted').length,
+            pixels,
+            inkPixels: sum('inkPixels'),
+            diffPixels,
+            percentChanged: pixels ? diffPixels / pixels * 100 : 0,
+            changeRegions: sum('changeRegions'),
+            changedArea: sum('changedArea'),
+            wordsAdded: sum('wordsAdded'),
+            wordsRemoved: sum('wordsRemoved'),
+            similarity: content ? 1 - diffPixels / content : 1
+        };
+    }
+
+    // ===== PIXEL METRIC METHODS =====
+
+    /**
+     * `(dataA, dataB, index) => boolean` telling whether a pixel changed under
+     * `diffMetric`. The offset search always uses the RGB sum and `colorTolerance`.
+     */
+    _makePixelComparator(tolerance) {
+        const { diffMetric, perceptualThreshold } = this.options;
+
+        if (diffMetric === 'yiq') {
+            // Same scale as pixelmatch's threshold: 35215 is the largest possible YIQ delta
+            const maxDelta = 35215 * perceptualThreshold * perceptualThreshold;
+            return (dataA, dataB, i) => this._yiqDelta(dataA, dataB, i) > maxDelta;
+        }
+
+        if (diffMetric === 'ciede2000') {
+            // Pages use few distinct colours, so convert each one to Lab only once
+            const labCache = new Map();
+            const toLab = (data, i) => {
+                const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+                let lab = labCache.get(key);
+                if (!lab) {
+                    lab = this._rgbToLab(data[i], data[i + 1], data[i + 2]);
+                    labCache.set(key, lab);
+                }
+                return lab;
+            };
+            return (dataA, dataB, i) => (
+                (dataA[i] !== dataB[i] || dataA[i + 1] !== dataB[i + 1] || dataA[i + 2] !== dataB[i + 2]) &&
+                this._ciede2000(toLab(dataA, i), toLab(dataB, i)) > perceptualThreshold
+            );
+        }
+
+        return (dataA, dataB, i) => this._pixelDelta(dataA, dataB, i) > tolerance;
+    }
+
+    _rgbToY(r, g, b) {
+        return r * 0.29889531 + g * 0.58662247 + b * 0.11448223;
+    }
+
+    /**
+     * Weighted squared distance in YIQ space, which tracks perceived
+     * difference better than RGB (Kotsarenko & Ramos)
+     */
+    _yiqDelta(dataA, dataB, i) {
+        const [r1, g1, b1] = [dataA[i], dataA[i + 1], dataA[i + 2]];
+        const [r2, g2, b2] = [dataB[i], dataB[i + 1], dataB[i + 2]];
+        if (r1 === r2 && g1 === g2 && b1 === b2) return 0;
+
+        const y = this._rgbToY(r1, g1, b1) - this._rgbToY(r2, g2, b2);
+        const iq = (r1 - r2) * 0.59597799 - (g1 - g2) * 0.27417610 - (b1 - b2) * 0.32180189;
+        const q = (r1 - r2) * 0.21147017 - (g1 - g2) * 0.52261711 + (b1 - b2) * 0.31114694;
+        return 0.5053 * y * y + 0.299 * iq * iq + 0.1957 * q * q;
+    }
+
+    /**
+     * sRGB (0-255) to CIELAB under D65
+     * @returns {number[]} `[L, a, b]`
+     */
+    _rgbToLab(r, g, b) {
+        const linear = (channel) => {
+            const value = channel / 255;
+            return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+        };
+        const [lr, lg, lb] = [linear(r), linear(g), linear(b)];
+
+        const x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / 0.95047;
+        const y = lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750;
+        const z = (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / 1.08883;
+
+        const f = value => (value > 216 / 24389 ? Math.cbrt(value) : (24389 / 27 * value + 16) / 116);
+        const [fx, fy, fz] = [f(x), f(y), f(z)];
+        return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+    }
+
+    /**
+     * CIEDE2000 colour difference between two Lab colours (Sharma, Wu & Dalal).
+     * About 2.3 is a just-noticeable difference.
+     */
+    _ciede2000([L1, a1, b1], [L2, a2, b2]) {
+        const rad = Math.PI / 180;
+        const pow25 = 25 ** 7;
+
+        const meanC7 = ((Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2) ** 7;
+        const g = 0.5 * (1 - Math.sqrt(meanC7 / (meanC7 + pow25)));
+        const a1p = a1 * (1 + g);
+        const a2p = a2 * (1 + g);
+        const C1p = Math.hypot(a1p, b1);
+        const C2p = Math.hypot(a2p, b2);
+        const hue = (b, a) => {
+            if (!a && !b) return 0;
+            const h = Math.atan2(b, a) / rad;
+            return h < 0 ? h + 360 : h;
+        };
+        const h1p = hue(b1, a1p);
+        const h2p = hue(b2, a2p);
+
+        let dhp = 0;
+        if (C1p * C2p) {
+            dhp = h2p - h1p;
+            if (dhp > 180) dhp -= 360;
+            else if (dhp < -180) dhp += 360;
+        }
+        const dLp = L2 - L1;
+        const dCp = C2p - C1p;
+        const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(dhp * rad / 2);
+
+        const meanL = (L1 + L2) / 2;
+        const meanCp = (C1p + C2p) / 2;
+        let meanHp = h1p + h2p;
+        if (C1p * C2p) {
+            if (Math.abs(h1p - h2p) <= 180) meanHp /= 2;
+            else meanHp = (meanHp < 360 ? meanHp + 360 : meanHp - 360) / 2;
+        }
+
+        const t = 1 - 0.17 * Math.cos((meanHp - 30) * rad) + 0.24 * Math.cos(2 * meanHp * rad) +
+            0.32 * Math.cos((3 * meanHp + 6) * rad) - 0.20 * Math.cos((4 * meanHp - 63) * rad);
+        const dTheta = 30 * Math.exp(-(((meanHp - 275) / 25) ** 2));
+        const meanCp7 = meanCp ** 7;
+        const rc = 2 * Math.sqrt(meanCp7 / (meanCp7 + pow25));
+        const sl = 1 + (0.015 * (meanL - 50) ** 2) / Math.sqrt(20 + (meanL - 50) ** 2);
+        const sc = 1 + 0.045 * meanCp;
+        const sh = 1 + 0.015 * meanCp * t;
+        const rt = -Math.sin(2 * dTheta * rad) * rc;
+
+        return Math.sqrt((dLp / sl) ** 2 + (dCp / sc) ** 2 + (dHp / sh) ** 2 + rt * (dCp / sc) * (dHp / sh));
+    }
+
+    /**
+     * Whether the pixel at (x, y) looks like an anti-aliased edge, following
+     * pixelmatch: few identical neighbours, and its darkest or brightest
+     * neighbour sits in a flat area in both images
+     */
+    _isAntialiased(data, x, y, width, height, otherData) {
+        const x0 = Math.max(x - 1, 0);
+        const y0 = Math.max(y - 1, 0);
+        const x2 = Math.min(x + 1, width - 1);
+        const y2 = Math.min(y + 1, height - 1);
+        const pos = (y * width + x) * 4;
+        const brightness = this._rgbToY(data[pos], data[pos + 1], data[pos + 2]);
+
+        // Pixels on the image border have fewer neighbours
+        let zeroes = x === x0 || x === x2 || y === y0 || y === y2 ? 1 : 0;
+        let min = 0;
+        let max = 0;
+        let minX, minY, maxX, maxY;
+
+        for (let nx = x0; nx <= x2; nx++) {
+            for (let ny = y0; ny <= y2; ny++) {
+                if (nx === x && ny === y) continue;
+                const npos = (ny * width + nx) * 4;
+                const delta = brightness - this._rgbToY(data[npos], data[npos + 1], data[npos + 2]);
+
+                if (delta === 0) {
+                    zeroes++;
+                    // More than two identical neighbours means a flat area, not an edge
+                    if (zeroes > 2) return false;
+                } else if (delta < min) {
+                    min = delta;
+                    minX = nx;
+                    minY = ny;
+                } else if (delta > max) {
+                    max = delta;
+                    maxX = nx;
+                    maxY = ny;
+                }
+            }
+        }
+
+        // An edge pixel has both a darker and a brighter neighbour
+        if (min === 0 || max === 0) return false;
+
+        return (this._hasManySiblings(data, minX, minY, width, height) && this._hasManySiblings(otherData, minX, minY, width, height)) ||
+            (this._hasManySiblings(data, maxX, maxY, width, height) && this._hasManySiblings(otherData, maxX, maxY, width, height));
+    }
+
+    /**
+     * Whether the pixel at (x, y) has more than two identical neighbours
+     */
+    _hasManySiblings(data, x, y, width, height) {
+        const x0 = Math.max(x - 1, 0);
+        const y0 = Math.max(y - 1, 0);
+        const x2 = Math.min(x + 1, width - 1);
+        const y2 = Math.min(y + 1, height - 1);
+        const pos = (y * width + x) * 4;
+        let zeroes = x === x0 || x === x2 || y === y0 || y === y2 ? 1 : 0;
+
+        for (let nx = x0; nx <= x2; nx++) {
+            for (let ny = y0; ny <= y2; ny++) {
+                if (nx === x && ny === y) continue;
+                const npos = (ny * width + nx) * 4;
+                if (data[pos] === data[npos] && data[pos + 1] === data[npos + 1] &&
+                    data[pos + 2] === data[npos + 2] && data[pos + 3] === data[npos + 3]) {
+                    zeroes++;
+                }
+                if (zeroes > 2) return true;
+            }
+        }
+        return false;
+    }
+
+    // ===== REGION METHODS =====
+
+    /**
+     * Convert a region in PDF points, or in percent of the page when
+     * `units` is '%', to whole pixels at render scale
+     * @param {Object} [pageSize] - Rendered page `{ width, height }` in pixels, needed for '%'
+     */
+    _regionToPixels(region, pageSize = null) {
+        const percent = region.units === '%';
+        const toX = value => (percent ? value * pageSize.width / 100 : value * this.options.scale);
+        const toY = value => (percent ? value * pageSize.height / 100 : value * this.options.scale);
+
+        const x = Math.round(toX(region.x));
+        const y = Math.round(toY(region.y));
+        return {
+            page: region.page,
+            x,
+            y,
+            width: Math.max(1, Math.round(toX(region.x + region.width)) - x),
+            height: Math.max(1, Math.round(toY(region.y + region.height)) - y)
+        };
+    }
+
+    /**
+     * Turn a page selector into `(pageNum, pageCount) => boolean`. Selectors are
+     * page numbers or comma-separated terms: '*', 'odd', 'even', 'last', '3',
+     * '2-5', '4-' (to the end) or '2-last'
+     */
+    _parsePageSelector(selector) {
+        if (Number.isInteger(selector) && selector > 0) {
+            return pageNum => pageNum === selector;
+        }
+
+        const invalid = () => new Error(`Invalid page selector ${JSON.stringify(selector)}. Use a page number, "*", "odd", "even", "last" or a range such as "2-5"`);
+        if (typeof selector !== 'string' || !selector.trim()) {
+            throw invalid();
+        }
+
+        const terms = selector.split(',').map((term) => {
+            term = term.trim().toLowerCase();
+            if (term === '*' || term === 'all') return () => true;
+            if (term === 'odd') return pageNum => pageNum % 2 === 1;
+            if (term === 'even') return pageNum => pageNum % 2 === 0;
+
+            const match = /^(\d+|last)(?:\s*(-)\s*(\d+|last)?)?$/.exec(term);
+            if (!match || match[1] === '0' || match[3] === '0') {
+                throw invalid();
+            }
+            const resolve = (value, pageCount) => (value === 'last' ? pageCount : Number(value));
+            const [, start, dash, end] = match;
+            return (pageNum, pageCount) => {
+                const last = !dash ? resolve(start, pageCount) : end ? resolve(end, pageCount) : Infinity;
+                return pageNum >= resolve(start, pageCount) && pageNum <= last;
+            };
+        });
+
+        return (pageNum, pageCount) => terms.some(term => term(pageNum, pageCount));
+    }
+
+    /**
+     * Validate a comparison profile
+     * @param {Object|string} profile - `{ name, crops, masks }` or its JSON text
+     * @returns {Object} The profile with every region's `units` filled in
+     */
+    _normalizeProfile(profile) {
+        if (typeof profile === 'string') {
+            try {
+                profile = JSON.parse(profile);
+            } catch (error) {
+                throw new Error(`Invalid profile JSON: ${error.message}`);
+            }
+        }
+        if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+            throw new Error('Invalid profile: expected an object with "crops" and/or "masks"');
+        }
+
+        const normalizeRegions = (key) => {
+            const regions = profile[key] || [];
+            if (!Array.isArray(regions)) {
+                throw new Error(`Invalid profile: "${key}" must be an array`);
+            }
+            return regions.map((region, index) => {
+                const where = `profile ${key}[${index}]`;
+                if (!region || typeof region !== 'object') {
+                    throw new Error(`Invalid ${where}: expected { page, x, y, width, height }`);
+                }
+                try {
+                    this._parsePageSelector(region.page);
+                } catch (error) {
+                    throw new Error(`Invalid ${where}: ${error.message}`);
+                }
+                ['x', 'y', 'width', 'height'].forEach((name) => {
+                    if (!Number.isFinite(region[name])) {
+                        throw new Error(`Invalid ${where}: "${name}" must be a number`);
+                    }
+                });
+                if (region.width <= 0 || region.height <= 0) {
+                    throw new Error(`Invalid ${where}: width and height must be positive`);
+                }
+                const units = region.units || 'pt';
+                if (!['pt', '%'].includes(units)) {
+                    throw new Error(`Invalid ${where}: units must be "pt" or "%"`);
+                }
+                const { page, x, y, width, height } = region;
+                return { page, x, y, width, height, units };
+            });
+        };
+
+        return {
+            ...(profile.name ? { name: String(profile.name) } : {}),
+            crops: normalizeRegions('crops'),
+            masks: normalizeRegions('masks')
+        };
+    }
+
+    // ===== IGNORE PATTERN METHODS =====
+
+    /**
+     * Built-in `ignorePatterns` rules
+     */
+    _getBuiltinIgnorePatterns() {
+        const month = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+        const day = '\\d{1,2}(?:st|nd|rd|th)?';
+        return {
+            // 2024-01-31, 31/01/2024, 1.31.24, 31 Jan 2024, January 31, 2024
+            date: new RegExp(`\\b(?:\\d{4}-\\d{1,2}-\\d{1,2}|\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|${day}\\s+${month},?\\s+\\d{4}|${month}\\s+${day},?\\s+\\d{4})\\b`, 'i'),
+            // 14:05, 14:05:59, 2:05 PM
+            time: /\b\d{1,2}:\d{2}(?::\d{2})?(?:\s*[ap]\.?m\b\.?)?/i,
+            uuid: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/i,
+            // Page 3 of 10, Page 3/10
+            pageNumber: /\bpage\s+\d+\s*(?:of|\/)\s*\d+\b/i
+        };
+    }
+
+    /**
+     * Validate `ignorePatterns` into `{ name, pattern, flags }` rules, so they
+     * survive JSON and being posted to a worker
+     * @param {Array<string|RegExp|Object>} patterns - Built-in names, RegExps or `{ name, pattern, flags }`
+     */
+    _normalizeIgnorePatterns(patterns) {
+        if (!Array.isArray(patterns)) {
+            throw new Error('ignorePatterns must be an array');
+        }
+        const builtins = this._getBuiltinIgnorePatterns();
+
+        return patterns.map((entry) => {
+            if (typeof entry === 'string') {
+                const builtin = builtins[entry];
+                if (!builtin) {
+                    throw new Error(`Unknown ignore pattern "${entry}". Use a RegExp, { name, pattern } or one of: ${Object.keys(builtins).join(', ')}`);
+                }
+                return { name: entry, pattern: builtin.source, flags: builtin.flags };
+            }
+            if (entry instanceof RegExp) {
+                return { name: String(entry), pattern: entry.source, flags: entry.flags.replace('g', '') };
+            }
+            if (entry && (typeof entry.pattern === 'string' || entry.pattern instanceof RegExp)) {
+                const source = entry.pattern instanceof RegExp ? entry.pattern.source : entry.pattern;
+                const flags = (entry.flags ?? (entry.pattern instanceof RegExp ? entry.pattern.flags : '')).replace('g', '');
+                try {
+                    new RegExp(source, flags);
+                } catch (error) {
+                    throw new Error(`Invalid ignore pattern ${JSON.stringify(source)}: ${error.message}`);
+                }
+                return { name: String(entry.name || `/${source}/${flags}`), pattern: source, flags };
+            }
+            throw new Error(`Invalid ignore pattern ${JSON.stringify(entry)}. Use a RegExp, { name, pattern } or a built-in name`);
+        });
+    }
+
+    /**
+     * Find the words each ignore rule matches, in page order. Matches may span
+     * several words, e.g. "Page 3 of 10"
+     * @returns {Array<Object>} `{ rule, words }` per occurrence
+     */
+    _matchIgnorePatterns(words) {
+        let text = '';
+        const starts = words.map((word) => {
+            const start = text.length;
+            text += `${word.text} `;
+            return start;
+        });
+
+        const occurrences = [];
+        this.options.ignorePatterns.forEach(({ name, pattern, flags }) => {
+            for (const match of text.matchAll(new RegExp(pattern, `${flags}g`))) {
+                if (!match[0].trim()) continue;
+                const end = match.index + match[0].length;
+                const matched = words.filter((word, i) => starts[i] < end && starts[i] + word.text.length > match.index);
+                occurrences.push({ rule: name, words: matched });
+            }
+        });
+        return occurrences;
+    }
+
+    /**
+     * Pair each rule's occurrences on A and B in page order; only text that
+     * matches on both pages is ignored, so a date that was added still shows
+     * @returns {Array<Object>} `{ rule, wordsA, wordsB }`
+     */
+    _pairIgnoreMatches(wordsA, wordsB) {
+        if (!this.options.ignorePatterns.length) return [];
+        const occurrencesA = this._matchIgnorePatterns(wordsA);
+        const occurrencesB = this._matchIgnorePatterns(wordsB);
+
+        const pairs = [];
+        this.options.ignorePatterns.forEach(({ name }) => {
+            const ruleA = occurrencesA.filter(occurrence => occurrence.rule === name);
+            const ruleB = occurrencesB.filter(occurrence => occurrence.rule === name);
+            for (let i = 0; i < Math.min(ruleA.length, ruleB.length); i++) {
+                pairs.push({ rule: name, wordsA: ruleA[i].words, wordsB: ruleB[i].words });
+            }
+        });
+        return pairs;
+    }
+
+    /**
+     * Add up `suppressed` counts per rule across page results
+     */
+    _sumSuppressed(pageResults) {
+        const totals = Object.fromEntries(this.options.ignorePatterns.map(({ name }) => [name, 0]));
+        pageResults.forEach((pageResult) => {
+            Object.entries(pageResult.suppressed || {}).forEach(([rule, count]) => {
+                totals[rule] = (totals[rule] || 0) + count;
+            });
+        });
+        return totals;
+    }
+
+    /**
+     * Snap a fractional box outwards to whole pixels
+     */
+    _toPixelBox(box) {
+        const x = Math.floor(box.x);
+        const y = Math.floor(box.y);
+        return { x, y, width: Math.ceil(box.x + box.width) - x, height: Math.ceil(box.y + box.height) - y };
+    }
+
+    // ===== WORKER POOL METHODS =====
+
+    _defaultWorkerCount() {
+        if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' || typeof document === 'undefined') {
+            return 0;
+        }
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+        return Math.min(4, Math.max(1, cores - 1));
+    }
+
+    _defaultWorkerUrl() {
+        const base = PDFDiffEngine.scriptUrl;
+        return base ? new URL('PDFDiffWorker.js', base).href : null;
+    }
+
+    /**
+     * Run `_comparePixels` for one page pair on a pooled worker, transferring
+     * the ImageData buffers, or inline when no worker is available.
+     */
+    async _runPixelComparison(paddedA, paddedB, pageMasks, blockPlan = null, ignoreMasks = []) {
+        const pool = this._getWorkerPool();
+        if (pool) {
+            const imgA = this._canvasToImageData(paddedA);
+            const imgB = this._canvasToImageData(paddedB);
+            try {
+                return await this._postPixelJob(pool, { imgA, imgB, pageMasks, blockPlan, ignoreMasks }, [imgA.data.buffer, imgB.data.buffer]);
+            } catch (error) {
+                // The transferred buffers are gone, so start again from the canvases
+                this._warn('worker-failed', 'Worker comparison failed, continuing on the main thread', error);
+            }
+        }
+        return this._comparePixels(this._canvasToImageData(paddedA), this._canvasToImageData(paddedB), pageMasks, blockPlan, ignoreMasks);
+    }
+
+    _warn(code, message, error = null) {
+        if (this.onWarning) this.onWarning({ code, message, error });
+    }
+
+    _getWorkerPool() {
+        if (this._workerPool !== undefined) return this._workerPool;
+
+        this._workerPool = null;
+        const { workerCount, workerUrl } = this.options;
+        if (!workerCount || !workerUrl || typeof Worker === 'undefined') return null;
+
+        const workers = [];
+        try {
+            for (let i = 0; i < workerCount; i++) {
+                workers.push(new Worker(workerUrl));
+            }
+        } catch (error) {
+            // Pages opened from file:// are not allowed to start workers
+            workers.forEach(worker => worker.terminate());
+            return null;
+        }
+
+        const pool = { workers, idle: workers.slice(), queue: [], jobs: new Map(), nextId: 1 };
+        workers.forEach(worker => {
+            worker.onmessage = (event) => this._onWorkerMessage(pool, worker, event.data);
+            worker.onerror = (event) => this._onWorkerError(pool, worker, event);
+        });
+        this._workerPool = pool;
+        return pool;
+    }
+
+    _postPixelJob(pool, payload, transfer) {
+        return new Promise((resolve, reject) => {
+            pool.queue.push({ id: pool.nextId++, payload, transfer, resolve, reject });
+            this._drainWorkerQueue(pool);
+        });
+    }
+
+    _drainWorkerQueue(pool) {
+        while (pool.idle.length && pool.queue.length) {
+            const worker = pool.idle.pop();
+            const job = pool.queue.shift();
+            job.worker = worker;
+            pool.jobs.set(job.id, job);
+            worker.postMessage({ id: job.id, options: { ...this.options, workerCount: 0 }, ...job.payload }, job.transfer);
+        }
+    }
+
+    _onWorkerMessage(pool, worker, message) {
+        const job = pool.jobs.get(message.id);
+        if (!job) return;
+
+        pool.jobs.delete(message.id);
+        pool.idle.push(worker);
+        if (message.error) {
+            job.reject(new Error(message.error));
+        } else {
+            job.resolve(message.result);
+        }
+        this._drainWorkerQueue(pool);
+    }
+
+    _onWorkerError(pool, worker, event) {
+        // Drop the broken worker; its jobs (and the queue, once none are left) fall back to the main thread
+        event.preventDefault();
+        worker.terminate();
+        pool.workers = pool.workers.filter(w => w !== worker);
+        pool.idle = pool.idle.filter(w => w !== worker);
+
+        const error = new Error(event.message || 'PDFDiffWorker failed to load');
+        pool.jobs.forEach((job, id) => {
+            if (job.worker === worker) {
+                pool.jobs.delete(id);
+                job.reject(error);
+            }
+        });
+        if (!pool.workers.length) {
+            pool.queue.splice(0).forEach(job => job.reject(error));
+            if (this._workerPool === pool) this._workerPool = null;
+        }
+    }
+
+    async _mapConcurrent(items, limit, fn) {
+        const results = new Array(items.length);
+        let next = 0;
+        const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await fn(items[index], index);
+            }
+        });
+        await Promise.all(runners);
+        return results;
+    }
+
+    // ===== SMART ALIGNMENT METHODS =====
+
+    /**
+     * Align the pages of both PDFs as sequences (Needleman-Wunsch over the
+     * text similarity matrix). Every page appears exactly once, as
+     * `{ type: 'matched'|'deleted'|'inserted', pageA, pageB, similarity }`;
+     * the missing side of an unmatched page is null.
+     */
+    async _findPageMappings(docA, docB) {
+        const textsA = await this._extractAllPageTexts(docA);
+        const textsB = await this._extractAllPageTexts(docB);
+        const n = textsA.length;
+        const m = textsB.length;
+
+        // Matching above the threshold scores positive. Skipping a page costs half
+        // the threshold, so two pages at the same position are only split into a
+        // deletion plus an insertion when that lets better pairs line up.
+        const threshold = this.options.similarityThreshold;
+        const gap = -threshold / 2;
+        const similarity = Array.from({ length: n }, (_, i) => (
+            textsB.map(textB => this._calculateTextSimilarity(textsA[i], textB))
+        ));
+
+        const score = Array.from({ length: n + 1 }, () => new Float64Array(m + 1));
+        for (let i = n; i >= 0; i--) {
+            for (let j = m; j >= 0; j--) {
+                if (i === n && j === m) continue;
+                score[i][j] = Math.max(
+                    i < n && j < m ? score[i + 1][j + 1] + similarity[i][j] - threshold : -Infinity,
+                    i < n ? score[i + 1][j] + gap : -Infinity,
+                    j < m ? score[i][j + 1] + gap : -Infinity
+                );
+            }
+        }
+
+        const mappings = [];
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && score[i][j] === score[i + 1][j + 1] + similarity[i][j] - threshold) {
+                mappings.push({ type: 'matched', pageA: i + 1, pageB: j + 1, similarity: similarity[i][j] });
+                i++;
+                j++;
+            } else if (i < n && score[i][j] === score[i + 1][j] + gap) {
+                mappings.push({ type: 'deleted', pageA: i + 1, pageB: null, similarity: 0 });
+                i++;
+            } else {
+                mappings.push({ type: 'inserted', pageA: null, pageB: j + 1, similarity: 0 });
+                j++;
+            }
+        }
+
+        return mappings;
+    }
+
+    /**
+     * Validate user-supplied `[{ pageA, pageB }]` pairs and fill in type and similarity
+     */
+    async _resolvePageMapping(pageMapping, docA, docB) {
+        const checkPage = (entry, key, numPages) => {
+            const page = entry[key] === undefined ? null : entry[key];
+            if (page !== null && !(Number.isInteger(page) && page >= 1 && page <= numPages)) {
+                throw new Error(`Invalid pageMapping entry ${JSON.stringify(entry)}: ${key} must be null or a page from 1 to ${numPages}`);
+            }
+            return page;
+        };
+
+        const mappings = [];
+        for (const entry of pageMapping) {
+            const pageA = checkPage(entry, 'pageA', docA.numPages);
+            const pageB = checkPage(entry, 'pageB', docB.numPages);
+            if (pageA === null && pageB === null) {
+                throw new Error(`Invalid pageMapping entry ${JSON.stringify(entry)}: pageA and pageB cannot both be null`);
+            }
+
+            if (pageA !== null && pageB !== null) {
+                const similarity = this._calculateTextSimilarity(
+                    await this._extractPageText(docA, pageA),
+                    await this._extractPageText(docB, pageB)
+                );
+                mappings.push({ type: 'matched', pageA, pageB, similarity });
+            } else {
+                mappings.push({ type: pageA !== null ? 'deleted' : 'inserted', pageA, pageB, similarity: 0 });
+            }
+        }
+        return mappings;
+    }
+
+    /**
+     * Extract text from all pages of a PDF document
+     */
+    async _extractAllPageTexts(doc) {
+        const texts = [];
+        for (let i = 1; i <= doc.numPages; i++) {
+            texts.push(await this._extractPageText(doc, i));
+        }
+        return texts;
+    }
+
+    async _extractPageText(doc, pageNum) {
+        const page = await doc.getPage(pageNum);
+        const textContent = await page.getTextContent();
+        return textContent.items
+            .map(item => item.str || '')
+            .join(' ')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Calculate text similarity using Jaccard similarity coefficient
+     * Returns a value between 0 (no similarity) and 1 (identical)
+     */
+    _calculateTextSimilarity(text1, text2) {
+        if (!text1 && !text2) return 1.0;
+        if (!text1 || !text2) return 0.0;
+
+        // Tokenize into words
+        const words1 = this._tokenize(text1);
+        const words2 = this._tokenize(text2);
+
+        // Create sets of words
+        const set1 = new Set(words1);
+        const set2 = new Set(words2);
+
+        // Calculate Jaccard similarity: |intersection| / |union|
+        const intersection = new Set([...set1].filter(x => set2.has(x)));
+        const union = new Set([...set1, ...set2]);
+
+        if (union.size === 0) return 0.0;
+
+        const jaccardSimilarity = intersection.size / union.size;
+
+        // Also consider length ratio for better accuracy
+        const lengthRatio = Math.min(text1.length, text2.length) / Math.max(text1.length, text2.length);
+
+        // Weighted combination
+        return jaccardSimilarity * 0.7 + lengthRatio * 0.3;
+    }
+
+    /**
+     * Tokenize text into words, removing common stopwords
+     */
+    _tokenize(text) {
+        const stopwords = new Set([
+            'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
+            'of', 'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'be',
+            'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will',
+            'would', 'should', 'could', 'may', 'might', 'can', 'shall'
+        ]);
+
+        return text
+            .toLowerCase()
+            .replace(/[^\w\s]/g, ' ') // Remove punctuation
+            .split(/\s+/)
+            .filter(word => word.length > 2 && !stopwords.has(word));
+    }
+
+    /**
+     * Convert hex color to rgba with alpha
+     */
+    _hexToRgba(hex, alpha) {
+        const rgb = this._parseHexColor(hex);
+        if (rgb) {
+            const [r, g, b] = rgb;
+            return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+        }
+
+        // Fallback to red if invalid hex
+        return `rgba(255, 0, 0, ${alpha})`;
+    }
+
+    /**
+     * Parse a hex color into [r, g, b] (0-255), or null if invalid
+     */
+    _parseHexColor(hex) {
+        // Handle both #RGB and #RRGGBB formats
+        const shorthandRegex = /^#?([a-f\d])([a-f\d])([a-f\d])$/i;
+        hex = String(hex).replace(shorthandRegex, (m, r, g, b) => r + r + g + g + b + b);
+
+        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+        if (!result) return null;
+        return [parseInt(result[1], 16), parseInt(result[2], 16), parseInt(result[3], 16)];
+    }
+}
+
+// Remember where this script was loaded from so PDFDiffWorker.js can be found next to it
+PDFDiffEngine.scriptUrl = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : null;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PDFDiffEngine;
+}
+if (typeof globalThis !== 'undefined') {
+    globalThis.PDFDiffEngine = PDFDiffEngine;
+}
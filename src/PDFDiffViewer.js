@@ -15,219 +15,464 @@ class PDFDiffViewer {
             throw new Error('Container element not found');
         }
 
+        // Check if PDF.js is loaded
+        if (typeof pdfjsLib === 'undefined') {
+            throw new Error('PDF.js library not found. Please include PDF.js before using PDFDiffViewer.');
+        }
+
+        // Check if the comparison engine is loaded
+        if (typeof PDFDiffEngine === 'undefined') {
+            throw new Error('PDFDiffEngine not found. Please include PDFDiffEngine.js before PDFDiffViewer.js.');
+        }
+
+        // The viewer always needs the aligned layers for its overlay/swipe/diff views
+        this.engine = new PDFDiffEngine({ ...options, pdfjsLib, includeImages: true });
+
         // Configuration
         this.options = {
-            scale: options.scale || 3.0,
-            maxShift: options.maxShift || 3,
-            dilationRadius: options.dilationRadius || 0,
-            colorTolerance: options.colorTolerance || 120,
-            minHighlightArea: options.minHighlightArea || 60,
-            minWordSize: options.minWordSize || 8,
-            highlightAlpha: options.highlightAlpha || 0.32,
-            highlightColorA: options.highlightColorA || '#FF1744',  // Red for Doc A changes
-            highlightColorB: options.highlightColorB || '#2196F3',  // Blue for Doc B changes
-            backgroundFillColor: options.backgroundFillColor || 'white',  // Canvas background
+            ...this.engine.options,
             labelA: options.labelA || 'Document A',
             labelB: options.labelB || 'Document B',
             workerSrc: options.workerSrc || 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js',
             showPageNumbers: options.showPageNumbers !== false,
-            cropRegions: options.cropRegions || [],
-            maskRegions: options.maskRegions || [],
-            alignmentTolerance: options.alignmentTolerance || 2,
-            similarityThreshold: options.similarityThreshold || 0.3
+            showTextChanges: options.showTextChanges !== false,
+            viewMode: options.viewMode || 'side-by-side',
+            keyboardShortcuts: options.keyboardShortcuts !== false,
+            zoomModifier: options.zoomModifier || 'ctrl'
         };
 
-        // Check if PDF.js is loaded
-        if (typeof pdfjsLib === 'undefined') {
-            throw new Error('PDF.js library not found. Please include PDF.js before using PDFDiffViewer.');
-        }
-
         pdfjsLib.GlobalWorkerOptions.workerSrc = this.options.workerSrc;
 
+        if (!this._getViewModeLabels()[this.options.viewMode]) {
+            throw new Error(`Unknown viewMode "${this.options.viewMode}"`);
+        }
+        if (!['ctrl', 'alt', 'shift', 'none'].includes(this.options.zoomModifier)) {
+            throw new Error(`Unknown zoomModifier "${this.options.zoomModifier}"`);
+        }
+
+        this.viewMode = this.options.viewMode;
+        this.zoom = 1;  // 1 = fit width
         this.results = null;
+        this._pageViews = [];
+        this._changes = [];
+        this._currentChange = -1;
+        this._abortController = null;
+        this._pageCounts = null;
+        this.drawMode = null;  // 'mask' or 'crop' while drawing regions
+        this._regionUpdate = Promise.resolve();
+
+        // n / p jump between changes
+        this._onKeyDown = (event) => {
+            if (event.ctrlKey || event.metaKey || event.altKey) return;
+            const target = event.target;
+            if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+            if (event.key === 'n') this.nextChange();
+            if (event.key === 'p') this.previousChange();
+            if (event.key === 'Escape' && this.drawMode) this.setDrawMode(null);
+        };
+        if (this.options.keyboardShortcuts) {
+            document.addEventListener('keydown', this._onKeyDown);
+        }
     }
 
     /**
      * Compare two PDF files and render the results
+     * Pages are rendered as they finish; starting another comparison (or
+     * calling clear()) cancels the one in flight.
      * @param {File|ArrayBuffer|Uint8Array} pdfA - First PDF
      * @param {File|ArrayBuffer|Uint8Array} pdfB - Second PDF
+     * @param {Object} [compareOptions] - `signal`, `onProgress`, `onMappingResolved` and `onPageComplete`, see PDFDiffEngine.compare()
      * @returns {Promise<Object>} Comparison results
      */
-    async compare(pdfA, pdfB) {
-        // Convert Files to ArrayBuffers if needed
-        const bufferA = await this._toArrayBuffer(pdfA);
-        const bufferB = await this._toArrayBuffer(pdfB);
-
-        // Load PDFs
-        const docA = await pdfjsLib.getDocument({ data: bufferA }).promise;
-        const docB = await pdfjsLib.getDocument({ data: bufferB }).promise;
-
-        // Clear previous results
-        this.container.innerHTML = '';
+    async compare(pdfA, pdfB, compareOptions = {}) {
+        // Clear previous results (aborts a comparison still running)
+        this.clear();
 
-        let totalDiffPixels = 0;
-        const pageResults = [];
-        let pageMapping = [];
+        const controller = new AbortController();
+        this._abortController = controller;
+        const { signal } = compareOptions;
+        if (signal) {
+            if (signal.aborted) controller.abort(signal.reason);
+            signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+        }
 
         // Create summary element
         const summaryDiv = document.createElement('div');
         summaryDiv.className = 'pdf-diff-summary';
+        const progressDiv = this._makeProgress();
+        summaryDiv.appendChild(progressDiv);
         this.container.appendChild(summaryDiv);
-
-        // Automatically handle different page counts with smart alignment
-        if (docA.numPages !== docB.numPages) {
-            pageMapping = await this._findPageMappings(docA, docB);
-        } else {
-            // Direct 1-to-1 mapping
-            for (let i = 1; i <= docA.numPages; i++) {
-                pageMapping.push({ pageA: i, pageB: i, similarity: 1.0 });
+        this.container.appendChild(this._makeToolbar());
+
+        // The navigator needs every change, so it replaces this placeholder at the end
+        const navigatorSlot = document.createElement('div');
+        this.container.appendChild(navigatorSlot);
+
+        const pageSlots = [];
+        let results;
+        try {
+            results = await this.engine.compare(pdfA, pdfB, {
+                ...compareOptions,
+                signal: controller.signal,
+                onProgress: (progress) => {
+                    this._updateProgress(progressDiv, progress);
+                    compareOptions.onProgress?.(progress);
+                },
+                onMappingResolved: (pageMapping, pageCounts) => {
+                    this._pageCounts = pageCounts;
+                    pageMapping.forEach((mapping) => {
+                        const slot = this._makePendingPage(mapping);
+                        this.container.appendChild(slot);
+                        pageSlots.push(slot);
+                    });
+                    compareOptions.onMappingResolved?.(pageMapping, pageCounts);
+                },
+                onPageComplete: (pageResult, index) => {
+                    const pageDiv = this._renderPageComparison(pageResult, pageResult.pageNumA, pageResult.pageNumB, index);
+                    this.container.replaceChild(pageDiv, pageSlots[index]);
+                    compareOptions.onPageComplete?.(pageResult, index);
+                }
+            });
+        } catch (error) {
+            // Leave an empty container unless a newer comparison has already taken it over
+            if (this._abortController === controller) {
+                this._abortController = null;
+                this.clear();
             }
+            throw error;
         }
+        this._abortController = null;
 
-        // Process each mapped page pair
-        for (const mapping of pageMapping) {
-            const pageResult = await this._comparePagePair(docA, docB, mapping.pageA, mapping.pageB);
-            pageResult.similarity = mapping.similarity;
-            pageResults.push(pageResult);
-            totalDiffPixels += pageResult.diffPixels;
+        this._collectChanges(results);
+        this.container.replaceChild(this._makeNavigator(), navigatorSlot);
 
-            this._renderPageComparison(pageResult, mapping.pageA, mapping.pageB);
-        }
+        this.results = results;
+        this._fillSummary(summaryDiv, results);
 
-        this.results = {
-            totalPages: pageMapping.length,
-            totalDiffPixels,
-            pageResults,
-            pageMapping
-        };
+        return this.results;
+    }
 
-        // Update summary
-        if (this.options.showPageNumbers) {
-            summaryDiv.innerHTML = `<h3>Comparison Results: ${pageMapping.length} page(s)</h3>`;
+    /**
+     * Compare a page of Document A with a different page of Document B,
+     * re-running only that pair, and re-render the results
+     * @param {number} pageA - Page of Document A
+     * @param {number|null} pageB - Page of Document B, or null for no counterpart
+     * @returns {Promise<Object>} The new page result
+     */
+    async remap(pageA, pageB) {
+        const results = this.results;
+        if (!results) {
+            throw new Error('Nothing to remap. Call compare() first.');
         }
 
-        return this.results;
+        const pageResult = await this.engine.remap(results, pageA, pageB);
+        // Skip rendering if another comparison replaced these results meanwhile
+        if (this.results === results) {
+            this._renderResults();
+        }
+        return pageResult;
     }
 
     /**
-     * Get the comparison results
+     * Crop and mask regions in PDF points, independent of `scale`
+     * @returns {{ crops: Array<Object>, masks: Array<Object> }} `{ page, x, y, width, height }` regions
      */
-    getResults() {
-        return this.results;
+    getRegions() {
+        return this.engine.getRegions();
     }
 
     /**
-     * Clear the viewer and reset
+     * Replace the crop and mask regions and re-run the pages whose regions changed
+     * @param {Object} regions - `{ crops, masks }` in PDF points, see getRegions()
+     * @returns {Promise<void>} Resolves once the affected pages are re-rendered
      */
-    clear() {
-        this.container.innerHTML = '';
-        this.results = null;
+    async setRegions(regions) {
+        const before = this._getRegionsByPage();
+        this.engine.setRegions(regions);
+        this.options.cropRegions = this.engine.options.cropRegions;
+        this.options.maskRegions = this.engine.options.maskRegions;
+        const after = this._getRegionsByPage();
+
+        const pages = new Set([...before.keys(), ...after.keys()].filter(page => before.get(page) !== after.get(page)));
+        if (!this.results || !pages.size) return;
+
+        // Re-run one batch at a time so a later edit always renders last
+        const update = this._regionUpdate.catch(() => {}).then(() => this._rerunPages(pages));
+        this._regionUpdate = update;
+        await update;
     }
 
     /**
-     * Destroy the viewer and clean up
+     * Apply a comparison profile (crops and masks with page selectors such
+     * as "*", "odd" or "2-5") and re-run every page
+     * @param {Object|string|null} profile - Profile object or JSON text, or null to remove it
+     * @returns {Promise<void>} Resolves once the pages are re-rendered
      */
-    destroy() {
-        this.clear();
-        this.container = null;
+    async setProfile(profile) {
+        this.engine.setProfile(profile);
+        this.options.profile = this.engine.getProfile();
+        if (!this.results) return;
+
+        const pages = new Set(this.results.pageResults.map(pageResult => pageResult.pageNumA).filter(page => page !== null));
+        const update = this._regionUpdate.catch(() => {}).then(() => this._rerunPages(pages));
+        this._regionUpdate = update;
+        await update;
     }
 
-    // ===== PRIVATE METHODS =====
+    /**
+     * The profile in use, or null
+     * @returns {Object|null}
+     */
+    getProfile() {
+        return this.engine.getProfile();
+    }
 
-    async _toArrayBuffer(input) {
-        if (input instanceof ArrayBuffer) {
-            return input;
-        }
-        if (input instanceof Uint8Array) {
-            return input.buffer;
+    /**
+     * Drag on a page to draw mask or crop regions instead of panning
+     * @param {string|null} mode - 'mask', 'crop', or null to pan again
+     */
+    setDrawMode(mode) {
+        if (mode !== null && !['mask', 'crop'].includes(mode)) {
+            throw new Error(`Unknown draw mode "${mode}"`);
         }
-        if (input instanceof File || input instanceof Blob) {
-            return await input.arrayBuffer();
+        this.drawMode = mode;
+
+        this.container.querySelectorAll('.pdf-diff-toolbar [data-draw-mode]').forEach((button) => {
+            const pressed = button.dataset.drawMode === mode;
+            button.setAttribute('aria-pressed', String(pressed));
+            button.style.fontWeight = pressed ? 'bold' : '';
+        });
+        this.container.querySelectorAll('.pdf-diff-viewport[data-regions]').forEach((viewport) => {
+            viewport.style.cursor = mode ? 'crosshair' : 'grab';
+        });
+    }
+
+    /**
+     * Export the last comparison as a standalone report
+     * @param {Object} [reportOptions]
+     * @param {string} [reportOptions.format='html'] - Report format
+     * @param {string} [reportOptions.title] - Report title
+     * @param {boolean} [reportOptions.download=false] - Also save the file in the browser
+     * @param {string} [reportOptions.filename='pdf-diff-report.html'] - Download file name
+     * @returns {string} Self-contained HTML that opens offline without the library
+     */
+    exportReport(reportOptions = {}) {
+        const report = this.engine.exportReport(this.results, {
+            labels: { a: this.options.labelA, b: this.options.labelB },
+            ...reportOptions
+        });
+
+        if (reportOptions.download) {
+            const blob = new Blob([report], { type: 'text/html' });
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(blob);
+            a.download = reportOptions.filename || 'pdf-diff-report.html';
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(a.href);
         }
-        throw new Error('Unsupported input type. Expected File, Blob, ArrayBuffer, or Uint8Array.');
+
+        return report;
     }
 
-    async _comparePage(docA, docB, pageNum) {
-        return await this._comparePagePair(docA, docB, pageNum, pageNum);
+    /**
+     * Export a copy of one input PDF with highlight annotations on every change.
+     * Requires pdf-lib (global `PDFLib` or the `pdfLib` option).
+     * @param {Object} [annotateOptions]
+     * @param {string} [annotateOptions.document='b'] - Which input to annotate: 'a' or 'b'
+     * @param {boolean} [annotateOptions.download=false] - Also save the file in the browser
+     * @param {string} [annotateOptions.filename] - Download file name
+     * @returns {Promise<Uint8Array>} Annotated PDF bytes
+     */
+    async exportAnnotatedPdf(annotateOptions = {}) {
+        const bytes = await this.engine.exportAnnotatedPdf(this.results, annotateOptions);
+
+        if (annotateOptions.download) {
+            const side = (annotateOptions.document || 'b').toLowerCase();
+            const blob = new Blob([bytes], { type: 'application/pdf' });
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(blob);
+            a.download = annotateOptions.filename || `pdf-diff-annotated-${side}.pdf`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(a.href);
+        }
+
+        return bytes;
     }
 
-    async _comparePagePair(docA, docB, pageNumA, pageNumB) {
-        const canvasA = document.createElement('canvas');
-        const canvasB = document.createElement('canvas');
+    /**
+     * Get the comparison results
+     */
+    getResults() {
+        return this.results;
+    }
 
-        const { words: wordsA } = await this._renderPageToCanvas(docA, pageNumA, canvasA);
-        const { words: wordsB } = await this._renderPageToCanvas(docB, pageNumB, canvasB);
+    /**
+     * Get normalized statistics and the similarity score of the current results
+     * @returns {Object|null} See PDFDiffEngine#getSummary
+     */
+    getSummary() {
+        return this.results ? this.engine.getSummary(this.results) : null;
+    }
 
-        const pageCrop = this.options.cropRegions.find(r => r.page === pageNumA);
-        const croppedWordsA = this._offsetWordBoxes(wordsA, pageCrop);
-        const croppedWordsB = this._offsetWordBoxes(wordsB, pageCrop);
+    /**
+     * Switch how page pairs are displayed
+     * @param {string} mode - 'side-by-side', 'overlay' (onion skin), 'swipe' or 'diff'
+     */
+    setViewMode(mode) {
+        if (!this._getViewModeLabels()[mode]) {
+            throw new Error(`Unknown view mode "${mode}"`);
+        }
+        this.viewMode = mode;
 
-        const croppedA = this._applyCrop(canvasA, pageCrop);
-        const croppedB = this._applyCrop(canvasB, pageCrop);
-        const targetWidth = Math.max(croppedA.width, croppedB.width);
-        const targetHeight = Math.max(croppedA.height, croppedB.height);
+        this.container.querySelectorAll('.pdf-diff-toolbar [data-view-mode]').forEach((button) => {
+            button.disabled = button.dataset.viewMode === mode;
+        });
 
-        const paddedA = this._padCanvas(croppedA, targetWidth, targetHeight);
-        const paddedB = this._padCanvas(croppedB, targetWidth, targetHeight);
+        this._pageViews.forEach((pageView) => {
+            const view = this._makeComparisonView(pageView.pageResult);
+            pageView.pageDiv.replaceChild(view, pageView.view);
+            pageView.view = view;
+        });
+    }
 
-        const highlightCanvasB = document.createElement('canvas');
-        highlightCanvasB.width = targetWidth;
-        highlightCanvasB.height = targetHeight;
+    /**
+     * List every detected change across all pages, in page order
+     * @returns {Array<Object>} `{ pageNumA, pageNumB, category, textA, textB, boxesA, boxesB }`
+     */
+    getChanges() {
+        return this._changes.map(({ pageResult, change }) => ({
+            pageNumA: pageResult.pageNumA,
+            pageNumB: pageResult.pageNumB,
+            ...change
+        }));
+    }
 
-        const imgA = this._canvasToImageData(paddedA);
-        const imgB = this._canvasToImageData(paddedB);
+    /**
+     * Scroll to a change and flash it in both documents
+     * @param {number} index - Position in `getChanges()`
+     */
+    goToChange(index) {
+        if (!this._changes.length) return;
+        this._currentChange = (index + this._changes.length) % this._changes.length;
+
+        const { pageIndex, pageResult, change } = this._changes[this._currentChange];
+        const pageView = this._pageViews[pageIndex];
+        pageView.pageDiv.scrollIntoView?.({ block: 'start' });
+
+        const viewports = pageView.view.querySelectorAll('.pdf-diff-viewport');
+        if (viewports.length === 2) {
+            // Side by side: B already follows A's scroll, so only scroll the
+            // side that has boxes and flash both
+            const scrollSide = change.boxesA.length ? 0 : 1;
+            this._flashBoxes(viewports[0], change.boxesA, scrollSide === 0);
+            this._flashBoxes(viewports[1], change.boxesB, scrollSide === 1);
+        } else if (viewports.length) {
+            // Layered views are drawn in A's coordinates, with B moved block by block under local alignment
+            const boxes = change.boxesA.length
+                ? change.boxesA
+                : change.boxesB.map((box) => {
+                    const { dx, dy } = this._alignmentAt(box.y + box.height / 2, 'B', pageResult.alignment, pageResult.blocks);
+                    return { ...box, x: box.x + dx, y: box.y + dy };
+                });
+            this._flashBoxes(viewports[0], boxes, true);
+        }
 
-        const canvasDiff = document.createElement('canvas');
-        canvasDiff.width = targetWidth;
-        canvasDiff.height = targetHeight;
+        this._updateNavigator();
+    }
 
-        const ctxDiff = canvasDiff.getContext('2d');
-        const diffImage = ctxDiff.createImageData(imgA.width, imgA.height);
+    nextChange() {
+        this.goToChange(this._currentChange + 1);
+    }
 
-        // Find best alignment
-        const best = this._findBestOffset(imgA, paddedB, imgA.width, imgA.height, this.options.colorTolerance);
-        const shiftedB = this._getShiftedImageData(paddedB, imgA.width, imgA.height, best.dx, best.dy);
+    previousChange() {
+        this.goToChange(this._currentChange < 0 ? -1 : this._currentChange - 1);
+    }
 
-        const diffPixels = this._buildDiffImage(imgA, shiftedB, diffImage, this.options.colorTolerance);
+    /**
+     * Set the zoom level for every page, relative to the column width
+     * @param {number} zoom - 1 fits the page width, 2 doubles it
+     */
+    setZoom(zoom) {
+        this.zoom = Math.min(16, Math.max(0.1, zoom));
+        this._applyZoom();
+    }
 
-        // Apply masks
-        const pageMasks = this.options.maskRegions.filter(r => r.page === pageNumA);
-        this._applyMasks(diffImage, pageMasks);
+    zoomIn() {
+        this.setZoom(this.zoom * 1.25);
+    }
 
-        // Dilate diff mask
-        this._dilateDiffMask(diffImage, imgA.width, imgA.height, this.options.dilationRadius);
+    zoomOut() {
+        this.setZoom(this.zoom / 1.25);
+    }
 
-        const boxes = this._extractDiffBoxes(diffImage, imgA.width, imgA.height, this.options.minHighlightArea);
+    /**
+     * Fit the page width to the column
+     */
+    fitWidth() {
+        this.setZoom(1);
+    }
 
-        const wordHighlightsA = this._mapDiffsToWordBoxes(boxes, croppedWordsA);
-        this._drawHighlightBoxes(ctxDiff, wordHighlightsA, 'red');
+    /**
+     * Fit the whole page inside the viewport height
+     */
+    fitPage() {
+        const img = this.container.querySelector('.pdf-diff-viewport img');
+        if (!img || !img.naturalWidth) {
+            this.setZoom(1);
+            return;
+        }
 
-        const boxesForB = this._translateBoxes(boxes, -best.dx, -best.dy);
-        const wordHighlightsB = this._mapDiffsToWordBoxes(boxesForB, croppedWordsB);
-        const highlightCtxB = highlightCanvasB.getContext('2d');
-        this._drawHighlightBoxes(highlightCtxB, wordHighlightsB, 'green');
+        const viewport = img.closest('.pdf-diff-viewport');
+        const maxHeight = parseFloat(getComputedStyle(viewport).maxHeight) || window.innerHeight * 0.8;
+        const heightAtFitWidth = viewport.clientWidth * img.naturalHeight / img.naturalWidth;
+        this.setZoom(Math.min(1, maxHeight / heightAtFitWidth));
+    }
 
-        // Create overlays
-        const overlayOnA = this._overlayDiff(paddedA, canvasDiff);
-        const overlayOnB = this._overlayDiff(paddedB, highlightCanvasB);
+    /**
+     * Clear the viewer and reset
+     */
+    clear() {
+        this._pageCounts = null;
+        if (this._abortController) {
+            this._abortController.abort();
+            this._abortController = null;
+        }
+        this.container.innerHTML = '';
+        this.results = null;
+        this.engine.releaseDocuments();
+        this._pageViews = [];
+        this._changes = [];
+        this._currentChange = -1;
+        this._navigator = null;
+    }
 
-        return {
-            pageNumA,
-            pageNumB,
-            diffPixels,
-            overlayA: overlayOnA.toDataURL('image/png'),
-            overlayB: overlayOnB.toDataURL('image/png'),
-            alignment: { dx: best.dx, dy: best.dy }
-        };
+    /**
+     * Destroy the viewer and clean up
+     */
+    destroy() {
+        this.clear();
+        document.removeEventListener('keydown', this._onKeyDown);
+        this.engine.destroy();
+        this.container = null;
     }
 
-    _renderPageComparison(pageResult, pageNumA, pageNumB = null) {
+    // ===== PRIVATE METHODS =====
+
+    _renderPageComparison(pageResult, pageNumA, pageNumB = null, pageIndex = this._pageViews.length) {
         const pageDiv = document.createElement('div');
         pageDiv.className = 'pdf-diff-page';
 
         if (this.options.showPageNumbers) {
             const title = document.createElement('h4');
-            if (pageNumB !== null && pageNumA !== pageNumB) {
+            if (pageResult.type === 'deleted') {
+                title.innerText = `Page ${pageNumA} (only in ${this.options.labelA})`;
+            } else if (pageResult.type === 'inserted') {
+                title.innerText = `Page ${pageNumB} (only in ${this.options.labelB})`;
+            } else if (pageNumB !== null && pageNumA !== pageNumB) {
                 title.innerText = `Page ${pageNumA} ↔ Page ${pageNumB}`;
                 if (pageResult.similarity !== undefined) {
                     const simPercent = (pageResult.similarity * 100).toFixed(1);
@@ -240,566 +485,991 @@ class PDFDiffViewer {
             pageDiv.appendChild(title);
         }
 
-        const row = document.createElement('div');
-        row.style.display = 'grid';
-        row.style.gridTemplateColumns = '1fr 1fr';
-        row.style.gap = '15px';
-        row.style.marginBottom = '25px';
-        row.style.borderTop = '2px solid #ddd';
-        row.style.paddingTop = '15px';
+        // Let the user pick another counterpart from B when the automatic mapping is wrong
+        if (this._pageCounts && pageNumA !== null) {
+            const header = pageDiv.querySelector('h4') || pageDiv;
+            header.appendChild(this._makeRemapControl(pageResult));
+        }
 
-        const colA = this._makeColumn(this.options.labelA, pageResult.overlayA);
-        const colB = this._makeColumn(this.options.labelB, pageResult.overlayB);
+        const view = this._makeComparisonView(pageResult);
+        pageDiv.appendChild(view);
+        this._pageViews[pageIndex] = { pageResult, pageDiv, view };
 
-        row.appendChild(colA);
-        row.appendChild(colB);
-        pageDiv.appendChild(row);
+        if (this.options.showTextChanges && pageResult.textChanges?.length) {
+            pageDiv.appendChild(this._makeTextChangeList(pageResult.textChanges));
+        }
 
-        this.container.appendChild(pageDiv);
+        return pageDiv;
     }
 
-    _makeColumn(labelText, imageSrc) {
-        const col = document.createElement('div');
-        const label = document.createElement('div');
-        label.innerHTML = `<b>${labelText}</b>`;
-
-        const img = document.createElement('img');
-        img.src = imageSrc;
-        img.style.width = '100%';
-        img.style.border = '1px solid #ccc';
-        img.style.imageRendering = 'crisp-edges';
-        img.style.backgroundColor = '#fff';
+    _makeRemapControl(pageResult) {
+        const label = document.createElement('label');
+        label.className = 'pdf-diff-remap';
+        label.style.marginLeft = '12px';
+        label.style.fontSize = '0.85em';
+        label.style.fontWeight = 'normal';
+        label.appendChild(document.createTextNode(`${this.options.labelB} page: `));
+
+        const select = document.createElement('select');
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = '—';
+        select.appendChild(none);
+        for (let page = 1; page <= this._pageCounts.pagesB; page++) {
+            const option = document.createElement('option');
+            option.value = String(page);
+            option.textContent = String(page);
+            select.appendChild(option);
+        }
+        select.value = pageResult.pageNumB === null ? '' : String(pageResult.pageNumB);
+
+        select.addEventListener('change', async () => {
+            select.disabled = true;
+            try {
+                await this.remap(pageResult.pageNumA, select.value ? Number(select.value) : null);
+            } catch (error) {
+                console.error('PDFDiffViewer: remap failed', error);
+                select.disabled = false;
+            }
+        });
 
-        col.appendChild(label);
-        col.appendChild(img);
-        return col;
+        label.appendChild(select);
+        return label;
     }
 
-    async _renderPageToCanvas(pdf, pageNum, canvas) {
-        const page = await pdf.getPage(pageNum);
-        const viewport = page.getViewport({ scale: this.options.scale });
+    /**
+     * Rebuild the whole display from `this.results` without recomparing
+     */
+    _renderResults() {
+        const results = this.results;
+        this.container.innerHTML = '';
+        this._pageViews = [];
+        this._navigator = null;
 
-        canvas.width = Math.floor(viewport.width);
-        canvas.height = Math.floor(viewport.height);
+        const summaryDiv = document.createElement('div');
+        summaryDiv.className = 'pdf-diff-summary';
+        this.container.appendChild(summaryDiv);
+        this.container.appendChild(this._makeToolbar());
 
-        const ctx = canvas.getContext('2d');
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        ctx.imageSmoothingEnabled = false;
+        this._collectChanges(results);
+        this.container.appendChild(this._makeNavigator());
 
-        await page.render({ canvasContext: ctx, viewport }).promise;
+        results.pageResults.forEach((pageResult, index) => {
+            this.container.appendChild(this._renderPageComparison(pageResult, pageResult.pageNumA, pageResult.pageNumB, index));
+        });
+
+        this._fillSummary(summaryDiv, results);
+    }
+
+    /**
+     * Re-run the listed pages of Document A with the current regions, then re-render
+     */
+    async _rerunPages(pages) {
+        const results = this.results;
+        if (!results) return;
+
+        // remap() keeps the loaded documents, so only the first page loads them
+        for (const pageResult of results.pageResults.slice()) {
+            if (!pages.has(pageResult.pageNumA)) continue;
+            try {
+                await this.engine.remap(results, pageResult.pageNumA, pageResult.pageNumB);
+            } catch (error) {
+                // clear() closed the documents of results that were replaced meanwhile
+                if (this.results !== results) return;
+                throw error;
+            }
+            // Another comparison replaced these results meanwhile
+            if (this.results !== results) return;
+        }
+        this._renderResults();
+    }
+
+    _collectChanges(results) {
+        this._changes = [];
+        this._currentChange = -1;
+        results.pageResults.forEach((pageResult, pageIndex) => {
+            (pageResult.changes || []).forEach((change) => {
+                this._changes.push({ pageIndex, pageResult, change });
+            });
+        });
+    }
+
+    _fillSummary(summaryDiv, results) {
+        summaryDiv.innerHTML = '';
+        if (this.options.showPageNumbers) {
+            summaryDiv.innerHTML = `<h3>Comparison Results: ${results.totalPages} page(s)</h3>`;
+        }
+        if (results.stats) {
+            const stats = document.createElement('div');
+            stats.className = 'pdf-diff-stats';
+            stats.textContent = this._describeStats(results.stats);
+            summaryDiv.appendChild(stats);
+        }
+        const suppressed = Object.entries(results.suppressed || {}).filter(([, count]) => count);
+        if (suppressed.length) {
+            const note = document.createElement('div');
+            note.className = 'pdf-diff-suppressed';
+            note.textContent = `Ignored by pattern: ${suppressed.map(([rule, count]) => `${rule} (${count})`).join(', ')}`;
+            summaryDiv.appendChild(note);
+        }
+        if (this.options.classifyChanges) {
+            summaryDiv.appendChild(this._makeLegend());
+        }
+    }
 
-        const words = await this._extractWordBoxes(page, viewport);
-        return { words };
+    _describeStats(stats) {
+        const area = Math.round(stats.changedArea).toLocaleString('en-US');
+        return [
+            `Similarity ${(stats.similarity * 100).toFixed(1)}%`,
+            `${stats.percentChanged.toFixed(2)}% of pixels changed (${area} pt²)`,
+            `${stats.changeRegions} change region(s)`,
+            `${stats.wordsAdded} word(s) added, ${stats.wordsRemoved} removed`,
+            `${stats.pagesChanged} of ${stats.totalPages} page(s) changed`
+        ].join(' · ');
     }
 
-    async _extractWordBoxes(page, viewport) {
-        const textContent = await page.getTextContent({ normalizeWhitespace: true });
-        const boxes = [];
+    _makePendingPage(mapping) {
+        const pageDiv = document.createElement('div');
+        pageDiv.className = 'pdf-diff-page pdf-diff-page-pending';
+        pageDiv.style.padding = '40px';
+        pageDiv.style.margin = '20px 0';
+        pageDiv.style.textAlign = 'center';
+        pageDiv.style.backgroundColor = '#f5f5f5';
+        pageDiv.style.color = '#999';
+        if (mapping.type === 'deleted' || mapping.type === 'inserted') {
+            const label = mapping.type === 'deleted' ? this.options.labelA : this.options.labelB;
+            pageDiv.textContent = `Rendering page ${mapping.pageA || mapping.pageB} (only in ${label})…`;
+        } else {
+            pageDiv.textContent = mapping.pageA === mapping.pageB
+                ? `Comparing page ${mapping.pageA}…`
+                : `Comparing page ${mapping.pageA} ↔ ${mapping.pageB}…`;
+        }
+        return pageDiv;
+    }
 
-        textContent.items.forEach((item) => {
-            const text = (item.str || '').trim();
-            if (!text) return;
+    _makeProgress() {
+        const progressDiv = document.createElement('div');
+        progressDiv.className = 'pdf-diff-progress';
+        progressDiv.style.display = 'flex';
+        progressDiv.style.gap = '10px';
+        progressDiv.style.alignItems = 'center';
 
-            const transform = pdfjsLib.Util.transform(viewport.transform, item.transform);
-            const x = transform[4];
-            const y = transform[5];
+        const bar = document.createElement('progress');
+        bar.max = 1;
+        bar.value = 0;
 
-            const width = (item.width || 0) * viewport.scale;
-            const glyphHeight = Math.hypot(transform[2], transform[3]);
-            const height = glyphHeight || ((item.height || 0) * viewport.scale);
+        const label = document.createElement('span');
+        label.className = 'pdf-diff-progress-label';
+        label.textContent = 'Loading documents…';
 
-            if (!width || !height) return;
+        progressDiv.appendChild(bar);
+        progressDiv.appendChild(label);
+        return progressDiv;
+    }
 
-            const charWidth = width / text.length;
-            if (!isFinite(charWidth) || charWidth <= 0) return;
+    _updateProgress(progressDiv, { phase, completed, total }) {
+        const bar = progressDiv.querySelector('progress');
+        const label = progressDiv.querySelector('.pdf-diff-progress-label');
+
+        if (phase === 'comparing') {
+            bar.value = total ? completed / total : 1;
+            label.textContent = `Compared ${completed} of ${total} page(s)`;
+        } else if (phase === 'mapping') {
+            bar.removeAttribute('value');  // indeterminate while matching pages
+            label.textContent = 'Matching pages…';
+        } else if (phase === 'loading') {
+            bar.value = 0;
+            label.textContent = 'Loading documents…';
+        }
+    }
 
-            const baseY = y - height;
-            let cursorX = x;
+    _getViewModeLabels() {
+        return {
+            'side-by-side': 'Side by side',
+            overlay: 'Onion skin',
+            swipe: 'Swipe',
+            diff: 'Diff only'
+        };
+    }
 
-            text.split(/(\s+)/).forEach((segment) => {
-                if (!segment) return;
+    _makeToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'pdf-diff-toolbar';
+        toolbar.style.display = 'flex';
+        toolbar.style.gap = '6px';
+        toolbar.style.margin = '10px 0';
+
+        const labels = this._getViewModeLabels();
+        Object.keys(labels).forEach((mode) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.viewMode = mode;
+            button.textContent = labels[mode];
+            button.disabled = mode === this.viewMode;
+            button.addEventListener('click', () => this.setViewMode(mode));
+            toolbar.appendChild(button);
+        });
 
-                const segmentWidth = charWidth * segment.length;
-                if (!segment.trim()) {
-                    cursorX += segmentWidth;
-                    return;
-                }
+        const regionControls = document.createElement('span');
+        regionControls.className = 'pdf-diff-regions';
+        regionControls.style.marginLeft = '12px';
+        regionControls.style.display = 'flex';
+        regionControls.style.gap = '6px';
+
+        const drawButtons = [
+            ['mask', 'Draw mask', 'Drag on a page to ignore an area'],
+            ['crop', 'Draw crop', 'Drag on a page to compare only that area']
+        ];
+        drawButtons.forEach(([mode, text, title]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.drawMode = mode;
+            button.textContent = text;
+            button.title = title;
+            button.setAttribute('aria-pressed', String(this.drawMode === mode));
+            button.style.fontWeight = this.drawMode === mode ? 'bold' : '';
+            button.addEventListener('click', () => this.setDrawMode(this.drawMode === mode ? null : mode));
+            regionControls.appendChild(button);
+        });
 
-                const paddingX = charWidth * 0.18;
-                const paddingY = height * 0.15;
-                const box = this._padBox({
-                    x: cursorX,
-                    y: baseY,
-                    width: segmentWidth,
-                    height
-                }, paddingX, paddingY);
-
-                boxes.push(box);
-                cursorX += segmentWidth;
-            });
+        const clearButton = document.createElement('button');
+        clearButton.type = 'button';
+        clearButton.textContent = 'Clear regions';
+        clearButton.title = 'Remove every mask and crop';
+        clearButton.addEventListener('click', () => {
+            this.setRegions({ crops: [], masks: [] })
+                .catch(error => console.error('PDFDiffViewer: clearing regions failed', error));
         });
+        regionControls.appendChild(clearButton);
+        toolbar.appendChild(regionControls);
+
+        const zoomControls = document.createElement('span');
+        zoomControls.className = 'pdf-diff-zoom';
+        zoomControls.style.marginLeft = 'auto';
+        zoomControls.style.display = 'flex';
+        zoomControls.style.gap = '6px';
+        zoomControls.style.alignItems = 'center';
+
+        const zoomButtons = [
+            ['−', 'Zoom out', () => this.zoomOut()],
+            ['+', 'Zoom in', () => this.zoomIn()],
+            ['Fit width', 'Fit page width', () => this.fitWidth()],
+            ['Fit page', 'Fit whole page', () => this.fitPage()]
+        ];
+        zoomButtons.forEach(([text, title, onClick]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = text;
+            button.title = title;
+            button.addEventListener('click', onClick);
+            zoomControls.appendChild(button);
+        });
+
+        const level = document.createElement('span');
+        level.className = 'pdf-diff-zoom-level';
+        level.textContent = `${Math.round(this.zoom * 100)}%`;
+        zoomControls.appendChild(level);
 
-        return boxes;
+        toolbar.appendChild(zoomControls);
+        return toolbar;
     }
 
-    _padCanvas(srcCanvas, targetWidth, targetHeight) {
-        if (srcCanvas.width === targetWidth && srcCanvas.height === targetHeight) {
-            return srcCanvas;
+    _makeComparisonView(pageResult) {
+        // A page only one document has is always shown next to a placeholder
+        if (pageResult.type === 'deleted' || pageResult.type === 'inserted') {
+            return this._makeUnmatchedView(pageResult);
         }
 
-        const padded = document.createElement('canvas');
-        padded.width = targetWidth;
-        padded.height = targetHeight;
+        // Layered views need the aligned images from the engine
+        const mode = pageResult.images ? this.viewMode : 'side-by-side';
 
-        const ctx = padded.getContext('2d');
-        ctx.fillStyle = this.options.backgroundFillColor;
-        ctx.fillRect(0, 0, targetWidth, targetHeight);
-        ctx.drawImage(srcCanvas, 0, 0);
-        return padded;
+        if (mode === 'overlay') {
+            return this._makeOverlayView(pageResult);
+        }
+        if (mode === 'swipe') {
+            return this._makeSwipeView(pageResult);
+        }
+        if (mode === 'diff') {
+            return this._makeDiffView(pageResult);
+        }
+        return this._makeSideBySideView(pageResult);
     }
 
-    _getShiftedImageData(srcCanvas, width, height, dx, dy) {
-        const temp = document.createElement('canvas');
-        temp.width = width;
-        temp.height = height;
-        const ctx = temp.getContext('2d');
-        ctx.fillStyle = this.options.backgroundFillColor;
-        ctx.fillRect(0, 0, width, height);
-        ctx.drawImage(srcCanvas, dx, dy);
-        return ctx.getImageData(0, 0, width, height);
+    _makeSideBySideView(pageResult) {
+        const row = document.createElement('div');
+        row.style.display = 'grid';
+        row.style.gridTemplateColumns = '1fr 1fr';
+        row.style.gap = '15px';
+        row.style.marginBottom = '25px';
+        row.style.borderTop = '2px solid #ddd';
+        row.style.paddingTop = '15px';
+
+        const colA = this._makeColumn(this.options.labelA, pageResult.overlayA, { pageResult, offset: { dx: 0, dy: 0 } });
+        const colB = this._makeColumn(this.options.labelB, pageResult.overlayB, { pageResult, offset: pageResult.alignment });
+        this._linkViewports(colA.querySelector('.pdf-diff-viewport'), colB.querySelector('.pdf-diff-viewport'), pageResult.alignment, pageResult.blocks);
+
+        row.appendChild(colA);
+        row.appendChild(colB);
+        return row;
     }
 
-    _pixelDelta(dataA, dataB, index) {
-        return Math.abs(dataA[index] - dataB[index]) +
-            Math.abs(dataA[index + 1] - dataB[index + 1]) +
-            Math.abs(dataA[index + 2] - dataB[index + 2]);
+    _makeOverlayView(pageResult) {
+        const { wrapper, stage, viewport } = this._makeLayeredWrapper(`${this.options.labelA} / ${this.options.labelB} (onion skin)`, pageResult);
+        const top = this._makeLayerImage(pageResult.images.b);
+        top.style.opacity = '0.5';
+
+        stage.appendChild(this._makeLayerImage(pageResult.images.a, true));
+        stage.appendChild(top);
+        this._addMaskMarkers(stage, pageResult);
+        wrapper.insertBefore(this._makeSlider(`${this.options.labelB} opacity`, 50, (value) => {
+            top.style.opacity = String(value / 100);
+        }), viewport);
+        return wrapper;
     }
 
-    _countDiffPixels(imgA, imgB, tolerance) {
-        const dataA = imgA.data;
-        const dataB = imgB.data;
-        let diff = 0;
-        for (let i = 0; i < dataA.length; i += 4) {
-            if (this._pixelDelta(dataA, dataB, i) > tolerance) {
-                diff++;
-            }
-        }
-        return diff;
+    _makeSwipeView(pageResult) {
+        const { wrapper, stage, viewport } = this._makeLayeredWrapper(`${this.options.labelA} ◀ ▶ ${this.options.labelB} (swipe)`, pageResult);
+        const top = this._makeLayerImage(pageResult.images.b);
+        const divider = document.createElement('div');
+        divider.style.position = 'absolute';
+        divider.style.top = '0';
+        divider.style.bottom = '0';
+        divider.style.width = '2px';
+        divider.style.backgroundColor = '#333';
+        divider.style.pointerEvents = 'none';
+
+        const setPosition = (value) => {
+            top.style.clipPath = `inset(0 0 0 ${value}%)`;
+            divider.style.left = `${value}%`;
+        };
+        setPosition(50);
+
+        stage.appendChild(this._makeLayerImage(pageResult.images.a, true));
+        stage.appendChild(top);
+        stage.appendChild(divider);
+        this._addMaskMarkers(stage, pageResult);
+        wrapper.insertBefore(this._makeSlider('Curtain', 50, setPosition), viewport);
+        return wrapper;
     }
 
-    _findBestOffset(imgA, paddedB, width, height, tolerance) {
-        let best = { diff: Infinity, dx: 0, dy: 0 };
-        for (let dy = -this.options.maxShift; dy <= this.options.maxShift; dy++) {
-            for (let dx = -this.options.maxShift; dx <= this.options.maxShift; dx++) {
-                const shiftedB = this._getShiftedImageData(paddedB, width, height, dx, dy);
-                const diffCount = this._countDiffPixels(imgA, shiftedB, tolerance);
-                if (diffCount < best.diff) {
-                    best = { diff: diffCount, dx, dy };
-                }
-            }
-        }
-        return best;
+    _makeDiffView(pageResult) {
+        const { wrapper, stage } = this._makeLayeredWrapper('Diff pixels', pageResult);
+        stage.appendChild(this._makeLayerImage(pageResult.images.diff, true));
+        this._addMaskMarkers(stage, pageResult);
+        return wrapper;
     }
 
-    _buildDiffImage(imgA, imgB, diffImage, tolerance) {
-        const target = diffImage.data;
-        const dataA = imgA.data;
-        const dataB = imgB.data;
-        let diffPixels = 0;
+    _makeLayeredWrapper(labelText, pageResult) {
+        const wrapper = document.createElement('div');
+        wrapper.style.marginBottom = '25px';
+        wrapper.style.borderTop = '2px solid #ddd';
+        wrapper.style.paddingTop = '15px';
 
-        for (let i = 0; i < dataA.length; i += 4) {
-            if (this._pixelDelta(dataA, dataB, i) > tolerance) {
-                target[i] = 255;
-                target[i + 1] = 0;
-                target[i + 2] = 0;
-                target[i + 3] = 255;
-                diffPixels++;
-            } else {
-                target[i] = 0;
-                target[i + 1] = 0;
-                target[i + 2] = 0;
-                target[i + 3] = 0;
-            }
-        }
+        const label = document.createElement('div');
+        label.innerHTML = `<b>${labelText}</b>`;
 
-        return diffPixels;
-    }
+        const stage = document.createElement('div');
+        stage.className = 'pdf-diff-stage';
+        stage.style.position = 'relative';
+        stage.style.border = '1px solid #ccc';
+        stage.style.backgroundColor = '#fff';
 
-    _dilateDiffMask(diffImage, width, height, radius = 0) {
-        const src = diffImage.data;
-        const mask = new Uint8Array(width * height);
+        // Layered views are drawn in A's coordinates
+        const viewport = this._makeViewport(stage, box => this._addDrawnRegion(pageResult, box));
 
-        for (let i = 0; i < width * height; i++) {
-            if (src[i * 4] > 0) {
-                mask[i] = 1;
-            }
-        }
+        wrapper.appendChild(label);
+        wrapper.appendChild(viewport);
+        return { wrapper, stage, viewport };
+    }
 
-        const expanded = new Uint8Array(mask);
-        if (radius > 0) {
-            for (let y = 0; y < height; y++) {
-                for (let x = 0; x < width; x++) {
-                    const idx = y * width + x;
-                    if (!mask[idx]) continue;
-                    const yMin = Math.max(0, y - radius);
-                    const yMax = Math.min(height - 1, y + radius);
-                    const xMin = Math.max(0, x - radius);
-                    const xMax = Math.min(width - 1, x + radius);
-                    for (let ny = yMin; ny <= yMax; ny++) {
-                        for (let nx = xMin; nx <= xMax; nx++) {
-                            expanded[ny * width + nx] = 1;
-                        }
-                    }
-                }
-            }
+    _makeLayerImage(imageSrc, isBase = false) {
+        const img = document.createElement('img');
+        img.src = imageSrc;
+        img.style.width = '100%';
+        img.style.display = 'block';
+        img.style.imageRendering = 'crisp-edges';
+        if (!isBase) {
+            img.style.position = 'absolute';
+            img.style.top = '0';
+            img.style.left = '0';
         }
+        return img;
+    }
 
-        for (let i = 0; i < width * height; i++) {
-            const base = i * 4;
-            if (expanded[i]) {
-                src[base] = 255;
-                src[base + 1] = 0;
-                src[base + 2] = 0;
-                src[base + 3] = 255;
-            }
-        }
+    _makeSlider(labelText, initialValue, onInput) {
+        const label = document.createElement('label');
+        label.style.display = 'block';
+        label.style.margin = '6px 0';
+        label.textContent = `${labelText} `;
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = '0';
+        slider.max = '100';
+        slider.value = String(initialValue);
+        slider.addEventListener('input', () => onInput(Number(slider.value)));
+
+        label.appendChild(slider);
+        return label;
     }
 
-    _extractDiffBoxes(diffImage, width, height, minArea = 25) {
-        const data = diffImage.data;
-        const visited = new Uint8Array(width * height);
-        const boxes = [];
-        const directions = [1, -1, width, -width];
-
-        for (let idx = 0; idx < width * height; idx++) {
-            if (visited[idx]) continue;
-            if (data[idx * 4 + 3] === 0) continue;
-
-            let minX = idx % width;
-            let maxX = minX;
-            let minY = Math.floor(idx / width);
-            let maxY = minY;
-
-            const stack = [idx];
-            visited[idx] = 1;
-
-            while (stack.length) {
-                const current = stack.pop();
-                const cx = current % width;
-                const cy = Math.floor(current / width);
-
-                if (cx < minX) minX = cx;
-                if (cx > maxX) maxX = cx;
-                if (cy < minY) minY = cy;
-                if (cy > maxY) maxY = cy;
-
-                for (const dir of directions) {
-                    const next = current + dir;
-                    if (next < 0 || next >= width * height) continue;
-                    const nx = next % width;
-                    const ny = Math.floor(next / width);
-                    if (Math.abs(nx - cx) + Math.abs(ny - cy) !== 1) continue;
-                    if (visited[next]) continue;
-                    if (data[next * 4 + 3] === 0) continue;
-                    visited[next] = 1;
-                    stack.push(next);
-                }
-            }
+    _getCategoryLabels() {
+        return {
+            insertion: 'Inserted',
+            deletion: 'Deleted',
+            modification: 'Modified',
+            move: 'Moved',
+            style: 'Style / colour',
+            graphic: 'Graphic'
+        };
+    }
 
-            const area = (maxX - minX + 1) * (maxY - minY + 1);
-            if (area >= minArea) {
-                boxes.push({
-                    x: minX,
-                    y: minY,
-                    width: maxX - minX + 1,
-                    height: maxY - minY + 1
-                });
-            }
-        }
+    _makeLegend() {
+        const labels = this._getCategoryLabels();
+
+        const legend = document.createElement('div');
+        legend.className = 'pdf-diff-legend';
+        legend.style.display = 'flex';
+        legend.style.flexWrap = 'wrap';
+        legend.style.gap = '12px';
+
+        Object.keys(labels).forEach((category) => {
+            const entry = document.createElement('span');
+            const swatch = document.createElement('span');
+            swatch.style.display = 'inline-block';
+            swatch.style.width = '12px';
+            swatch.style.height = '12px';
+            swatch.style.marginRight = '4px';
+            swatch.style.verticalAlign = 'middle';
+            swatch.style.backgroundColor = this.options.categoryColors[category];
+            entry.appendChild(swatch);
+            entry.appendChild(document.createTextNode(labels[category]));
+            legend.appendChild(entry);
+        });
 
-        return boxes;
+        return legend;
     }
 
-    _drawHighlightBoxes(ctx, boxes, color = 'red') {
-        ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-        const alpha = this.options.highlightAlpha;
-        
-        // Use configured colors or fallback to color parameter
-        if (color === 'red') {
-            ctx.fillStyle = this._hexToRgba(this.options.highlightColorA, alpha);
-        } else if (color === 'green') {
-            ctx.fillStyle = this._hexToRgba(this.options.highlightColorB, alpha);
-        }
-        
-        boxes.forEach(({ x, y, width, height }) => {
-            ctx.fillRect(x, y, width, height);
+    // ===== CHANGE NAVIGATOR =====
+
+    _makeNavigator() {
+        const navigator = document.createElement('div');
+        navigator.className = 'pdf-diff-navigator';
+        navigator.style.margin = '10px 0';
+
+        const controls = document.createElement('div');
+        controls.style.display = 'flex';
+        controls.style.gap = '6px';
+        controls.style.alignItems = 'center';
+
+        const prev = document.createElement('button');
+        prev.type = 'button';
+        prev.textContent = '◀ Previous';
+        prev.title = 'Previous change (p)';
+        prev.addEventListener('click', () => this.previousChange());
+
+        const next = document.createElement('button');
+        next.type = 'button';
+        next.textContent = 'Next ▶';
+        next.title = 'Next change (n)';
+        next.addEventListener('click', () => this.nextChange());
+
+        const counter = document.createElement('span');
+        counter.className = 'pdf-diff-navigator-counter';
+
+        prev.disabled = next.disabled = !this._changes.length;
+        controls.appendChild(prev);
+        controls.appendChild(next);
+        controls.appendChild(counter);
+        navigator.appendChild(controls);
+
+        const list = document.createElement('ol');
+        list.className = 'pdf-diff-navigator-list';
+        list.style.maxHeight = '200px';
+        list.style.overflowY = 'auto';
+        list.style.margin = '6px 0 0';
+        list.style.paddingLeft = '30px';
+
+        const labels = this._getCategoryLabels();
+        this._changes.forEach(({ pageResult, change }, index) => {
+            const item = document.createElement('li');
+            item.style.cursor = 'pointer';
+            item.style.borderLeft = `4px solid ${this.options.categoryColors[change.category]}`;
+            item.style.paddingLeft = '6px';
+
+            let pageLabel = pageResult.pageNumA === pageResult.pageNumB
+                ? `p. ${pageResult.pageNumA}`
+                : `p. ${pageResult.pageNumA} ↔ ${pageResult.pageNumB}`;
+            if (pageResult.type === 'deleted') pageLabel = `p. ${pageResult.pageNumA} (${this.options.labelA} only)`;
+            if (pageResult.type === 'inserted') pageLabel = `p. ${pageResult.pageNumB} (${this.options.labelB} only)`;
+            // PDF text is untrusted - always assign it as text, never as HTML
+            item.textContent = `${pageLabel} · ${labels[change.category]} · ${this._describeChange(change)}`;
+            item.addEventListener('click', () => this.goToChange(index));
+            list.appendChild(item);
         });
-    }
+        navigator.appendChild(list);
 
-    _rectsIntersect(a, b) {
-        return (
-            a.x < b.x + b.width &&
-            a.x + a.width > b.x &&
-            a.y < b.y + b.height &&
-            a.y + a.height > b.y
-        );
+        this._navigator = navigator;
+        this._updateNavigator();
+        return navigator;
     }
 
-    _dedupeBoxes(boxes) {
-        const seen = new Set();
-        const result = [];
-        boxes.forEach((box) => {
-            const key = [Math.round(box.x), Math.round(box.y), Math.round(box.width), Math.round(box.height)].join(':');
-            if (seen.has(key)) return;
-            seen.add(key);
-            result.push({ x: box.x, y: box.y, width: box.width, height: box.height });
+    _updateNavigator() {
+        if (!this._navigator) return;
+
+        const counter = this._navigator.querySelector('.pdf-diff-navigator-counter');
+        counter.textContent = this._changes.length
+            ? `${this._currentChange + 1 || '–'} / ${this._changes.length} change(s)`
+            : 'No changes';
+
+        this._navigator.querySelectorAll('.pdf-diff-navigator-list li').forEach((item, index) => {
+            item.style.fontWeight = index === this._currentChange ? 'bold' : '';
+            if (index === this._currentChange) {
+                item.scrollIntoView?.({ block: 'nearest' });
+            }
         });
-        return result;
     }
 
-    _padBox(box, paddingX, paddingY) {
-        const x = Math.max(0, box.x - paddingX);
-        const y = Math.max(0, box.y - paddingY);
-        return {
-            x,
-            y,
-            width: Math.max(1, box.width + paddingX * 2),
-            height: Math.max(1, box.height + paddingY * 2)
-        };
+    _describeChange(change) {
+        const truncate = text => (text.length > 60 ? `${text.slice(0, 57)}...` : text);
+        if (change.category === 'modification') {
+            return `'${truncate(change.textA)}' → '${truncate(change.textB)}'`;
+        }
+        const text = change.textA || change.textB;
+        return text ? `'${truncate(text)}'` : '(no text)';
     }
 
-    _mapDiffsToWordBoxes(diffBoxes, wordBoxes) {
-        if (!wordBoxes || !wordBoxes.length) {
-            return diffBoxes;
-        }
+    /**
+     * Outline boxes (in rendered pixels) inside a viewport, fade them out,
+     * and optionally scroll the first one into the middle of the viewport
+     */
+    _flashBoxes(viewport, boxes, scroll) {
+        const content = viewport.firstChild;
+        const img = viewport.querySelector('img');
+        const ratio = img && img.naturalWidth ? content.clientWidth / img.naturalWidth : 1;
 
-        const matched = [];
+        boxes.forEach((box) => {
+            const marker = document.createElement('div');
+            marker.className = 'pdf-diff-flash';
+            marker.style.position = 'absolute';
+            marker.style.left = `${content.offsetLeft + box.x * ratio - 3}px`;
+            marker.style.top = `${content.offsetTop + box.y * ratio - 3}px`;
+            marker.style.width = `${box.width * ratio + 6}px`;
+            marker.style.height = `${box.height * ratio + 6}px`;
+            marker.style.border = '3px solid #FFEB3B';
+            marker.style.boxSizing = 'border-box';
+            marker.style.pointerEvents = 'none';
+            marker.style.transition = 'opacity 1s';
+            viewport.appendChild(marker);
+
+            setTimeout(() => { marker.style.opacity = '0'; }, 800);
+            setTimeout(() => marker.remove(), 1800);
+        });
 
-        diffBoxes.forEach((diffBox) => {
-            let found = false;
-            for (const word of wordBoxes) {
-                if (this._rectsIntersect(diffBox, word)) {
-                    if (word.width >= this.options.minWordSize && word.height >= this.options.minWordSize) {
-                        matched.push(word);
-                        found = true;
-                    }
-                }
-            }
-            if (!found) {
-                matched.push(diffBox);
+        if (scroll && boxes.length) {
+            const box = boxes[0];
+            viewport.scrollLeft = box.x * ratio - (viewport.clientWidth - box.width * ratio) / 2;
+            viewport.scrollTop = box.y * ratio - (viewport.clientHeight - box.height * ratio) / 2;
+        }
+    }
+
+    _makeTextChangeList(textChanges) {
+        const list = document.createElement('ul');
+        list.className = 'pdf-diff-text-changes';
+        list.style.margin = '0 0 25px';
+        list.style.paddingLeft = '20px';
+        list.style.fontFamily = 'monospace';
+
+        textChanges.forEach((change) => {
+            const item = document.createElement('li');
+            // PDF text is untrusted - always assign it as text, never as HTML
+            if (change.type === 'replace') {
+                item.textContent = `'${change.textA}' → '${change.textB}'`;
+            } else if (change.type === 'insert') {
+                item.textContent = `+ '${change.textB}'`;
+                item.style.color = this.options.highlightColorB;
+            } else {
+                item.textContent = `− '${change.textA}'`;
+                item.style.color = this.options.highlightColorA;
             }
+            list.appendChild(item);
         });
 
-        return this._dedupeBoxes(matched);
+        return list;
     }
 
-    _translateBoxes(boxes, dx, dy) {
-        return boxes.map((box) => ({
-            x: box.x + dx,
-            y: box.y + dy,
-            width: box.width,
-            height: box.height
-        }));
-    }
+    _makeUnmatchedView(pageResult) {
+        const row = document.createElement('div');
+        row.style.display = 'grid';
+        row.style.gridTemplateColumns = '1fr 1fr';
+        row.style.gap = '15px';
+        row.style.marginBottom = '25px';
+        row.style.borderTop = '2px solid #ddd';
+        row.style.paddingTop = '15px';
 
-    _offsetWordBoxes(words, crop) {
-        if (!crop) return words;
-        return words.map(box => ({
-            ...box,
-            x: box.x - crop.x,
-            y: box.y - crop.y
-        }));
+        if (pageResult.type === 'deleted') {
+            row.appendChild(this._makeColumn(`${this.options.labelA} (only)`, pageResult.overlayA, { pageResult, offset: { dx: 0, dy: 0 } }));
+            row.appendChild(this._makeEmptyColumn(`${this.options.labelB} (no page)`));
+        } else {
+            row.appendChild(this._makeEmptyColumn(`${this.options.labelA} (no page)`));
+            row.appendChild(this._makeColumn(`${this.options.labelB} (only)`, pageResult.overlayB));
+        }
+        return row;
     }
 
-    _canvasToImageData(canvas) {
-        const ctx = canvas.getContext('2d');
-        return ctx.getImageData(0, 0, canvas.width, canvas.height);
-    }
-
-    _applyCrop(canvas, region) {
-        if (!region) return canvas;
-        const cropped = document.createElement('canvas');
-        cropped.width = region.width;
-        cropped.height = region.height;
-        const ctx = cropped.getContext('2d');
-        ctx.drawImage(
-            canvas,
-            region.x, region.y, region.width, region.height,
-            0, 0, region.width, region.height
-        );
-        return cropped;
-    }
-
-    _applyMasks(diffImage, masks) {
-        if (!masks?.length) return;
-        const data = diffImage.data;
-        masks.forEach(({ x, y, width, height }) => {
-            for (let row = y; row < y + height; row++) {
-                for (let col = x; col < x + width; col++) {
-                    const idx = (row * diffImage.width + col) * 4;
-                    data[idx] = data[idx + 1] = data[idx + 2] = data[idx + 3] = 0;
-                }
-            }
-        });
+    _makeEmptyColumn(labelText) {
+        const col = document.createElement('div');
+        const label = document.createElement('div');
+        label.innerHTML = `<b>${labelText}</b>`;
+
+        const placeholder = document.createElement('div');
+        placeholder.className = 'pdf-diff-missing-page';
+        placeholder.style.padding = '40px';
+        placeholder.style.textAlign = 'center';
+        placeholder.style.backgroundColor = '#f5f5f5';
+        placeholder.style.border = '1px solid #ccc';
+        placeholder.style.color = '#999';
+        placeholder.innerText = 'No corresponding page';
+
+        col.appendChild(label);
+        col.appendChild(placeholder);
+        return col;
     }
 
-    _overlayDiff(baseCanvas, diffCanvas, opacity = 0.3) {
-        const overlay = document.createElement('canvas');
-        overlay.width = baseCanvas.width;
-        overlay.height = baseCanvas.height;
+    /**
+     * @param {Object} [regionTarget] - `{ pageResult, offset }` to allow drawing regions;
+     *   `offset` maps the image to A's coordinates (the alignment for B)
+     */
+    _makeColumn(labelText, imageSrc, regionTarget = null) {
+        const col = document.createElement('div');
+        const label = document.createElement('div');
+        label.innerHTML = `<b>${labelText}</b>`;
+
+        const stage = document.createElement('div');
+        stage.className = 'pdf-diff-stage';
+        stage.style.position = 'relative';
+
+        const img = document.createElement('img');
+        img.src = imageSrc;
+        img.draggable = false;
+        img.style.width = '100%';
+        img.style.display = 'block';
+        img.style.border = '1px solid #ccc';
+        img.style.boxSizing = 'border-box';
+        img.style.imageRendering = 'crisp-edges';
+        img.style.backgroundColor = '#fff';
+        stage.appendChild(img);
 
-        const ctx = overlay.getContext('2d');
-        ctx.drawImage(baseCanvas, 0, 0);
-        ctx.globalAlpha = opacity;
-        ctx.drawImage(diffCanvas, 0, 0);
-        ctx.globalAlpha = 1;
-        ctx.imageSmoothingEnabled = false;
+        let onRegion = null;
+        if (regionTarget) {
+            const { pageResult, offset } = regionTarget;
+            onRegion = box => this._addDrawnRegion(pageResult, { ...box, x: box.x + offset.dx, y: box.y + offset.dy });
+            this._addMaskMarkers(stage, pageResult, offset);
+        }
 
-        return overlay;
+        col.appendChild(label);
+        col.appendChild(this._makeViewport(stage, onRegion));
+        return col;
     }
 
-    // ===== SMART ALIGNMENT METHODS =====
+    // ===== REGION DRAWING =====
 
     /**
-     * Find optimal page mappings between two PDFs based on text content similarity
+     * Turn a rectangle drawn on a page into a mask or crop in PDF points and
+     * re-run that page
+     * @param {Object} box - `{ mode, x, y, width, height }` in A's image pixels
      */
-    async _findPageMappings(docA, docB) {
-        const mappings = [];
-        const usedPagesB = new Set();
-        const tolerance = this.options.alignmentTolerance;
-
-        // Extract text from all pages of both documents
-        const textsA = await this._extractAllPageTexts(docA);
-        const textsB = await this._extractAllPageTexts(docB);
-
-        // For each page in document A, find best matching page in document B
-        for (let pageA = 1; pageA <= docA.numPages; pageA++) {
-            const textA = textsA[pageA - 1];
-            
-            let bestMatch = null;
-            let bestSimilarity = 0;
-
-            // Search within tolerance range
-            const startPage = Math.max(1, pageA - tolerance);
-            const endPage = Math.min(docB.numPages, pageA + tolerance);
-
-            for (let pageB = startPage; pageB <= endPage; pageB++) {
-                if (usedPagesB.has(pageB)) continue;
-
-                const textB = textsB[pageB - 1];
-                const similarity = this._calculateTextSimilarity(textA, textB);
-
-                if (similarity > bestSimilarity && similarity >= this.options.similarityThreshold) {
-                    bestSimilarity = similarity;
-                    bestMatch = pageB;
-                }
-            }
+    async _addDrawnRegion(pageResult, box) {
+        const scale = this.engine.options.scale;
+        const crop = pageResult.crop || { x: 0, y: 0 };
+        const region = {
+            page: pageResult.pageNumA,
+            x: (box.x + crop.x) / scale,
+            y: (box.y + crop.y) / scale,
+            width: box.width / scale,
+            height: box.height / scale
+        };
 
-            // If no good match found, try 1:1 mapping if that page exists and isn't used
-            if (!bestMatch && pageA <= docB.numPages && !usedPagesB.has(pageA)) {
-                bestMatch = pageA;
-                bestSimilarity = this._calculateTextSimilarity(textA, textsB[pageA - 1]);
-            }
+        const regions = this.getRegions();
+        if (box.mode === 'crop') {
+            // One crop per page: the new one replaces the old
+            regions.crops = regions.crops.filter(existing => existing.page !== region.page).concat(region);
+        } else {
+            regions.masks.push(region);
+        }
 
-            if (bestMatch) {
-                usedPagesB.add(bestMatch);
-                mappings.push({
-                    pageA,
-                    pageB: bestMatch,
-                    similarity: bestSimilarity
-                });
-            }
+        try {
+            await this.setRegions(regions);
+        } catch (error) {
+            console.error('PDFDiffViewer: updating regions failed', error);
         }
+    }
 
-        return mappings;
+    /**
+     * Start drawing a rectangle on a page stage at the pointer position
+     * @returns {{ update: Function, finish: Function, cancel: Function }}
+     */
+    _beginRegionDraw(stage, event) {
+        const mode = this.drawMode;
+        const img = stage.querySelector('img');
+        const rect = stage.getBoundingClientRect();
+        const ratio = img && img.naturalWidth && rect.width ? img.naturalWidth / rect.width : 1;
+
+        const clampX = value => Math.min(Math.max(0, value), rect.width);
+        const clampY = value => Math.min(Math.max(0, value), rect.height);
+        const start = { x: clampX(event.clientX - rect.left), y: clampY(event.clientY - rect.top) };
+        let end = start;
+
+        const outline = document.createElement('div');
+        outline.className = 'pdf-diff-region-draft';
+        outline.style.position = 'absolute';
+        outline.style.border = `2px dashed ${mode === 'crop' ? '#2196F3' : '#555'}`;
+        outline.style.boxSizing = 'border-box';
+        outline.style.pointerEvents = 'none';
+        stage.appendChild(outline);
+
+        const bounds = () => ({
+            x: Math.min(start.x, end.x),
+            y: Math.min(start.y, end.y),
+            width: Math.abs(end.x - start.x),
+            height: Math.abs(end.y - start.y)
+        });
+        const place = () => {
+            const { x, y, width, height } = bounds();
+            outline.style.left = `${x}px`;
+            outline.style.top = `${y}px`;
+            outline.style.width = `${width}px`;
+            outline.style.height = `${height}px`;
+        };
+        place();
+
+        return {
+            update: (moveEvent) => {
+                end = { x: clampX(moveEvent.clientX - rect.left), y: clampY(moveEvent.clientY - rect.top) };
+                place();
+            },
+            // Returns the rectangle in image pixels, or null for a click
+            finish: () => {
+                outline.remove();
+                const { x, y, width, height } = bounds();
+                if (width < 4 || height < 4) return null;
+                return {
+                    mode,
+                    x: Math.round(x * ratio),
+                    y: Math.round(y * ratio),
+                    width: Math.round(width * ratio),
+                    height: Math.round(height * ratio)
+                };
+            },
+            cancel: () => outline.remove()
+        };
     }
 
     /**
-     * Extract text from all pages of a PDF document
+     * Hatch the page's masked areas on a stage, positioned in percent so they follow the zoom
+     * @param {Object} [offset] - Maps the stage image to A's coordinates
      */
-    async _extractAllPageTexts(doc) {
-        const texts = [];
-        for (let i = 1; i <= doc.numPages; i++) {
-            const page = await doc.getPage(i);
-            const textContent = await page.getTextContent();
-            const pageText = textContent.items
-                .map(item => item.str || '')
-                .join(' ')
-                .toLowerCase()
-                .replace(/\s+/g, ' ')
-                .trim();
-            texts.push(pageText);
-        }
-        return texts;
+    _addMaskMarkers(stage, pageResult, offset = { dx: 0, dy: 0 }) {
+        const masks = pageResult.masks || [];
+        const img = stage.querySelector('img');
+        if (!masks.length || !img) return;
+
+        const place = () => {
+            if (!img.naturalWidth) return;
+            masks.forEach((mask) => {
+                const marker = document.createElement('div');
+                marker.className = 'pdf-diff-mask-region';
+                marker.title = 'Masked';
+                marker.style.position = 'absolute';
+                marker.style.left = `${(mask.x - offset.dx) / img.naturalWidth * 100}%`;
+                marker.style.top = `${(mask.y - offset.dy) / img.naturalHeight * 100}%`;
+                marker.style.width = `${mask.width / img.naturalWidth * 100}%`;
+                marker.style.height = `${mask.height / img.naturalHeight * 100}%`;
+                marker.style.border = '1px dashed #555';
+                marker.style.boxSizing = 'border-box';
+                marker.style.background = 'repeating-linear-gradient(45deg, rgba(0, 0, 0, 0.12) 0 4px, transparent 4px 8px)';
+                marker.style.pointerEvents = 'none';
+                stage.appendChild(marker);
+            });
+        };
+
+        if (img.complete && img.naturalWidth) {
+            place();
+        } else {
+            img.addEventListener('load', place, { once: true });
+        }
     }
 
     /**
-     * Calculate text similarity using Jaccard similarity coefficient
-     * Returns a value between 0 (no similarity) and 1 (identical)
+     * Serialized regions per page of A, to tell which pages a region edit affects
      */
-    _calculateTextSimilarity(text1, text2) {
-        if (!text1 && !text2) return 1.0;
-        if (!text1 || !text2) return 0.0;
+    _getRegionsByPage() {
+        const byPage = new Map();
+        const { cropRegions, maskRegions } = this.engine.options;
+        [...cropRegions, ...maskRegions].forEach(({ page }) => {
+            if (byPage.has(page)) return;
+            byPage.set(page, JSON.stringify({
+                crops: cropRegions.filter(region => region.page === page),
+                masks: maskRegions.filter(region => region.page === page)
+            }));
+        });
+        return byPage;
+    }
 
-        // Tokenize into words
-        const words1 = this._tokenize(text1);
-        const words2 = this._tokenize(text2);
+    // ===== ZOOM AND PAN =====
 
-        // Create sets of words
-        const set1 = new Set(words1);
-        const set2 = new Set(words2);
+    /**
+     * Wrap zoomable content in a scrollable viewport with drag-to-pan and
+     * wheel zoom while the zoomModifier key is held
+     * @param {Function} [onRegion] - Receives rectangles drawn while a draw mode is on
+     */
+    _makeViewport(content, onRegion = null) {
+        const viewport = document.createElement('div');
+        viewport.className = 'pdf-diff-viewport';
+        viewport.style.position = 'relative';
+        viewport.style.overflow = 'auto';
+        viewport.style.maxHeight = '80vh';
+        if (onRegion) {
+            viewport.dataset.regions = 'true';
+        }
+        const idleCursor = () => (onRegion && this.drawMode ? 'crosshair' : 'grab');
+        viewport.style.cursor = idleCursor();
+
+        content.style.width = `${this.zoom * 100}%`;
+        content.draggable = false;
+        viewport.appendChild(content);
+
+        let drag = null;
+        let region = null;
+        viewport.addEventListener('pointerdown', (event) => {
+            if (event.button !== 0 || event.target.tagName === 'INPUT') return;
+            viewport.setPointerCapture?.(event.pointerId);
+            event.preventDefault();
+            if (onRegion && this.drawMode) {
+                region = this._beginRegionDraw(content, event);
+                return;
+            }
+            drag = { x: event.clientX, y: event.clientY, left: viewport.scrollLeft, top: viewport.scrollTop };
+            viewport.style.cursor = 'grabbing';
+        });
+        viewport.addEventListener('pointermove', (event) => {
+            if (region) {
+                region.update(event);
+                return;
+            }
+            if (!drag) return;
+            viewport.scrollLeft = drag.left - (event.clientX - drag.x);
+            viewport.scrollTop = drag.top - (event.clientY - drag.y);
+        });
+        viewport.addEventListener('pointerup', () => {
+            const box = region && region.finish();
+            region = null;
+            drag = null;
+            viewport.style.cursor = idleCursor();
+            if (box) onRegion(box);
+        });
+        viewport.addEventListener('pointercancel', () => {
+            if (region) region.cancel();
+            region = null;
+            drag = null;
+            viewport.style.cursor = idleCursor();
+        });
 
-        // Calculate Jaccard similarity: |intersection| / |union|
-        const intersection = new Set([...set1].filter(x => set2.has(x)));
-        const union = new Set([...set1, ...set2]);
+        viewport.addEventListener('wheel', (event) => {
+            if (!this._isZoomWheel(event)) return;
+            event.preventDefault();
 
-        if (union.size === 0) return 0.0;
+            // Keep the point under the cursor in place while zooming
+            const rect = viewport.getBoundingClientRect();
+            const offsetX = event.clientX - rect.left;
+            const offsetY = event.clientY - rect.top;
+            const fracX = (viewport.scrollLeft + offsetX) / (viewport.scrollWidth || 1);
+            const fracY = (viewport.scrollTop + offsetY) / (viewport.scrollHeight || 1);
 
-        const jaccardSimilarity = intersection.size / union.size;
+            // Some platforms turn Shift + wheel into horizontal scrolling
+            this.setZoom(this.zoom * ((event.deltaY || event.deltaX) < 0 ? 1.25 : 0.8));
 
-        // Also consider length ratio for better accuracy
-        const lengthRatio = Math.min(text1.length, text2.length) / Math.max(text1.length, text2.length);
+            viewport.scrollLeft = fracX * viewport.scrollWidth - offsetX;
+            viewport.scrollTop = fracY * viewport.scrollHeight - offsetY;
+        }, { passive: false });
 
-        // Weighted combination
-        return jaccardSimilarity * 0.7 + lengthRatio * 0.3;
+        return viewport;
+    }
+
+    _isZoomWheel(event) {
+        switch (this.options.zoomModifier) {
+            case 'none': return true;
+            case 'alt': return event.altKey;
+            case 'shift': return event.shiftKey;
+            default: return event.ctrlKey || event.metaKey;
+        }
     }
 
     /**
-     * Tokenize text into words, removing common stopwords
+     * Offset between B and A at height `y` of one side: the alignment of the
+     * matched block nearest to `y` under local alignment, else the page's
      */
-    _tokenize(text) {
-        const stopwords = new Set([
-            'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
-            'of', 'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'be',
-            'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will',
-            'would', 'should', 'could', 'may', 'might', 'can', 'shall'
-        ]);
-
-        return text
-            .toLowerCase()
-            .replace(/[^\w\s]/g, ' ') // Remove punctuation
-            .split(/\s+/)
-            .filter(word => word.length > 2 && !stopwords.has(word));
+    _alignmentAt(y, side, alignment = { dx: 0, dy: 0 }, blocks = null) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        (blocks || []).forEach((block) => {
+            if (block.type !== 'matched' || !block.alignment) return;
+            const box = side === 'A' ? block.boxA : block.boxB;
+            const distance = Math.max(0, box.y - y, y - (box.y + box.height));
+            if (distance < nearestDistance) {
+                nearest = block;
+                nearestDistance = distance;
+            }
+        });
+        return nearest ? nearest.alignment : alignment;
     }
 
     /**
-     * Convert hex color to rgba with alpha
+     * Keep the A and B viewports of a page pair scrolled to the same content.
+     * B is drawn unshifted, so A's (x, y) is B's (x - dx, y - dy). With local
+     * alignment the offset is the one of the matched block nearest to the
+     * middle of the scrolled pane.
      */
-    _hexToRgba(hex, alpha) {
-        // Handle both #RGB and #RRGGBB formats
-        const shorthandRegex = /^#?([a-f\d])([a-f\d])([a-f\d])$/i;
-        hex = hex.replace(shorthandRegex, (m, r, g, b) => r + r + g + g + b + b);
-
-        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-        if (result) {
-            const r = parseInt(result[1], 16);
-            const g = parseInt(result[2], 16);
-            const b = parseInt(result[3], 16);
-            return `rgba(${r}, ${g}, ${b}, ${alpha})`;
-        }
-        
-        // Fallback to red if invalid hex
-        return `rgba(255, 0, 0, ${alpha})`;
+    _linkViewports(viewportA, viewportB, alignment = { dx: 0, dy: 0 }, blocks = null) {
+        const offsetFor = (viewport, side) => {
+            const img = viewport.querySelector('img');
+            const ratio = img && img.naturalWidth ? img.clientWidth / img.naturalWidth : 0;
+            if (!ratio) return { x: 0, y: 0 };
+            const { dx, dy } = this._alignmentAt((viewport.scrollTop + viewport.clientHeight / 2) / ratio, side, alignment, blocks);
+            return { x: dx * ratio, y: dy * ratio };
+        };
+
+        const sync = (source, target, direction) => {
+            source.addEventListener('scroll', () => {
+                if (source._pdfDiffSyncing) {
+                    source._pdfDiffSyncing = false;
+                    return;
+                }
+                const offset = offsetFor(source, direction === 1 ? 'A' : 'B');
+                // Clamp like the browser does, otherwise no scroll event fires to clear the flag
+                const left = Math.round(Math.min(Math.max(0, source.scrollLeft - direction * offset.x), target.scrollWidth - target.clientWidth));
+                const top = Math.round(Math.min(Math.max(0, source.scrollTop - direction * offset.y), target.scrollHeight - target.clientHeight));
+                if (left === target.scrollLeft && top === target.scrollTop) return;
+
+                target._pdfDiffSyncing = true;
+                target.scrollLeft = left;
+                target.scrollTop = top;
+            });
+        };
+
+        sync(viewportA, viewportB, 1);
+        sync(viewportB, viewportA, -1);
+    }
+
+    _applyZoom() {
+        this.container.querySelectorAll('.pdf-diff-viewport').forEach((viewport) => {
+            viewport.firstChild.style.width = `${this.zoom * 100}%`;
+        });
+
+        const label = this.container.querySelector('.pdf-diff-zoom-level');
+        if (label) {
+            label.textContent = `${Math.round(this.zoom * 100)}%`;
+        }
     }
 }
 
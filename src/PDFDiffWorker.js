@@ -0,0 +1,21 @@
+/**
+ * PDFDiffWorker - runs the per-page pixel pipeline off the main thread
+ * Started by PDFDiffEngine (see the `workerCount` and `workerUrl` options).
+ * Receives the padded page images as transferable ImageData and answers with
+ * the alignment, diff mask, shifted B layer and diff boxes.
+ */
+
+importScripts('PDFDiffEngine.js');
+
+self.onmessage = (event) => {
+    const { id, options, imgA, imgB, pageMasks, blockPlan, ignoreMasks } = event.data;
+
+    try {
+        // Without a document the engine's default canvas factory uses OffscreenCanvas
+        const engine = new PDFDiffEngine(options);
+        const result = engine._comparePixels(imgA, imgB, pageMasks, blockPlan, ignoreMasks);
+        self.postMessage({ id, result }, [result.diffImage.data.buffer, result.shiftedB.data.buffer]);
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
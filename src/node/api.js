@@ -0,0 +1,599 @@
+/**
+ * REST API - runs comparisons on the server for clients without a browser.
+ * server.js mounts the router under /api:
+ *
+ *   POST /api/compare                              Compare two PDFs, responds with the results JSON
+ *   GET  /api/compare/:id                          The same results again
+ *   GET  /api/compare/:id/pages/:page/:image       overlay-a.png, overlay-b.png or diff.png of a page pair
+ *
+ *   POST   /api/jobs                               Queue a comparison, responds with the job
+ *   GET    /api/jobs/:id                           Status and per-page progress
+ *   DELETE /api/jobs/:id                           Cancel the job, or delete its results once finished
+ *   GET    /api/jobs/:id/results                   Results JSON of a completed job
+ *   GET    /api/jobs/:id/pages/:page/:image        Page images of a completed job
+ */
+
+import express from 'express';
+import multer from 'multer';
+import { randomUUID } from 'crypto';
+import { readFile, realpath, stat } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createEngine, dataUrlToBuffer } from './index.js';
+import { JobQueue } from './jobs.js';
+import { checkCallbackUrl, deliverWebhook } from './webhooks.js';
+
+// Engine options wired by the server; clients can't set them
+const SERVER_OPTIONS = ['pdfjsLib', 'pdfLib', 'canvasFactory', 'documentParams', 'workerCount', 'workerUrl', 'includeImages'];
+
+const PAGE_IMAGES = ['overlay-a.png', 'overlay-b.png', 'diff.png'];
+
+// Numeric options a request may set, with their allowed range. `maxShift` and `dilationRadius`
+// multiply the work per page, so their upper bounds come from the router config.
+const NUMERIC_OPTIONS = {
+    maxShift: { min: 0, max: 'maxShift' },
+    dilationRadius: { min: 0, max: 'maxDilationRadius' },
+    colorTolerance: { min: 0, max: 765 },
+    perceptualThreshold: { min: 0, max: 100 },
+    minHighlightArea: { min: 0, max: Infinity },
+    minWordSize: { min: 0, max: Infinity },
+    highlightAlpha: { min: 0, max: 1 },
+    similarityThreshold: { min: 0, max: 1 }
+};
+
+/**
+ * Error answered with an HTTP status and `{ error: message }`
+ */
+export class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+    }
+}
+
+/**
+ * Create the Express router for the comparison API
+ * @param {Object} [config]
+ * @param {string} [config.root] - Directory `urlA` / `urlB` may point into; local files are refused without it
+ * @param {number} [config.maxFileSize] - Bytes per PDF (default: 50 MB)
+ * @param {number} [config.maxScale] - Highest render `scale` a request may ask for (default: 4)
+ * @param {number} [config.maxShift] - Highest `maxShift` a request may ask for (default: 50)
+ * @param {number} [config.maxDilationRadius] - Highest `dilationRadius` a request may ask for (default: 10)
+ * @param {number} [config.maxResults] - Results kept in memory for the image endpoints (default: 20)
+ * @param {number} [config.maxComparisons] - `POST /compare` requests running at once; more are answered
+ *   with 503 (default: 2)
+ * @param {Object} [config.jobs] - JobQueue settings: `dir` (default: pdf-diff-jobs in the temp directory),
+ *   `concurrency`, `retention` and `maxQueued`
+ * @param {Object} [config.webhooks] - `secret` signing job callbacks (required for `callbackUrl`),
+ *   `allowedHosts` that may be private addresses, plus `retries`, `backoff` and `timeout` (see deliverWebhook)
+ * @param {string} [config.publicUrl] - Scheme and host for links in callbacks, defaults to the request's
+ * @returns {express.Router} The router; `router.jobs` is its JobQueue
+ */
+export function createApiRouter(config = {}) {
+    const {
+        root = null, maxFileSize = 50 * 1024 * 1024, maxScale = 4, maxShift = 50, maxDilationRadius = 10,
+        maxResults = 20, maxComparisons = 2, webhooks = {}
+    } = config;
+    const router = express.Router();
+    const stored = new Map();
+    const limits = { root, maxFileSize, maxScale, maxShift, maxDilationRadius };
+
+    const jobs = new JobQueue({
+        dir: path.join(os.tmpdir(), 'pdf-diff-jobs'),
+        ...config.jobs,
+        run: async (job, data, compareOptions) => {
+            const engine = createEngine({ ...job.options, includeImages: true });
+            const results = await engine.compare(data.A, data.B, {
+                ...compareOptions,
+                nameA: job.names.A,
+                nameB: job.names.B,
+                pageMapping: job.pageMapping
+            });
+            return toStoredResults(job.id, results, `${job.baseUrl}/jobs/${job.id}`);
+        },
+        notify: async (job, onAttempt) => {
+            const payload = { event: `job.${job.status}`, job: describeJob(job, job.origin) };
+            if (job.status === 'completed') {
+                const results = await jobs.readResults(job.id);
+                payload.summary = {
+                    ...results.stats,
+                    suppressed: results.suppressed,
+                    pages: results.pageResults.map(pageResult => ({
+                        type: pageResult.type,
+                        pageA: pageResult.pageNumA,
+                        pageB: pageResult.pageNumB,
+                        ...pageResult.stats,
+                        links: Object.fromEntries(Object.entries(pageResult.links).map(([name, url]) => [name, job.origin + url]))
+                    }))
+                };
+            }
+            return await deliverWebhook(job.callback.url, payload, { ...webhooks, onAttempt });
+        }
+    });
+    router.jobs = jobs;
+
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxFileSize, files: 2, fields: 10 }
+    }).fields([{ name: 'fileA', maxCount: 1 }, { name: 'fileB', maxCount: 1 }]);
+
+    // A comparison holds both PDFs and their rendered pages in memory until it answers,
+    // so only a few run at once; larger workloads belong in the job queue
+    let comparisons = 0;
+    const reserveComparison = (req, res, next) => {
+        if (comparisons >= maxComparisons) {
+            res.set('Retry-After', '10');
+            return next(new ApiError(503, 'Too many comparisons running, try again later or queue a job with POST /jobs'));
+        }
+        comparisons++;
+        let reserved = true;
+        res.locals.releaseComparison = () => {
+            if (reserved) comparisons--;
+            reserved = false;
+        };
+        // Requests that fail before the comparison starts give the slot back with their response
+        res.once('close', () => {
+            if (!res.locals.comparing) res.locals.releaseComparison();
+        });
+        next();
+    };
+
+    router.post('/compare', reserveComparison, express.json({ limit: '1mb' }), upload, async (req, res, next) => {
+        res.locals.comparing = true;
+        try {
+            const { engine, inputs, pageMapping } = await readComparison(req, limits);
+            const results = await engine.compare(inputs.A.data, inputs.B.data, {
+                nameA: inputs.A.name,
+                nameB: inputs.B.name,
+                pageMapping
+            });
+
+            const id = randomUUID();
+            stored.set(id, toStoredResults(id, results, `${req.baseUrl}/compare/${id}`));
+            // Oldest results go first
+            for (const oldId of stored.keys()) {
+                if (stored.size <= maxResults) break;
+                stored.delete(oldId);
+            }
+            res.status(201).location(`${req.baseUrl}/compare/${id}`).json(stored.get(id).json);
+        } catch (err) {
+            next(err);
+        } finally {
+            res.locals.releaseComparison();
+        }
+    });
+
+    router.get('/compare/:id', (req, res, next) => {
+        const entry = stored.get(req.params.id);
+        if (!entry) return next(new ApiError(404, `No comparison "${req.params.id}"`));
+        res.json(entry.json);
+    });
+
+    router.get('/compare/:id/pages/:page/:image', (req, res, next) => {
+        const entry = stored.get(req.params.id);
+        if (!entry) return next(new ApiError(404, `No comparison "${req.params.id}"`));
+        const images = entry.images[Number(req.params.page) - 1];
+        if (!images || !PAGE_IMAGES.includes(req.params.image)) {
+            return next(new ApiError(404, `No image "${req.params.image}" for page pair ${req.params.page}`));
+        }
+        res.type('png').send(images[req.params.image]);
+    });
+
+    router.post('/jobs', express.json({ limit: '1mb' }), upload, async (req, res, next) => {
+        try {
+            if (jobs.isFull()) {
+                throw new ApiError(503, 'Too many queued jobs, try again later');
+            }
+            const callbackUrl = await parseCallbackUrl(req.body?.callbackUrl, webhooks);
+            // Checked like /compare before queueing, so a bad request is a 400 rather than a failed job
+            const { options, inputs, pageMapping } = await readComparison(req, limits);
+            const job = await jobs.add({
+                inputs,
+                options,
+                pageMapping,
+                callbackUrl,
+                baseUrl: req.baseUrl,
+                origin: config.publicUrl || `${req.protocol}://${req.get('host')}`
+            });
+            res.status(202).location(`${req.baseUrl}/jobs/${job.id}`).json(describeJob(job));
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    router.get('/jobs/:id', (req, res, next) => {
+        const job = jobs.get(req.params.id);
+        if (!job) return next(new ApiError(404, `No job "${req.params.id}"`));
+        res.json(describeJob(job));
+    });
+
+    router.delete('/jobs/:id', async (req, res, next) => {
+        try {
+            if (!jobs.get(req.params.id)) throw new ApiError(404, `No job "${req.params.id}"`);
+            const job = await jobs.cancel(req.params.id);
+            if (job) {
+                res.json(describeJob(job));
+            } else {
+                res.status(204).end();
+            }
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    router.get('/jobs/:id/results', async (req, res, next) => {
+        try {
+            const job = jobs.get(req.params.id);
+            if (!job) throw new ApiError(404, `No job "${req.params.id}"`);
+            if (job.status !== 'completed') throw new ApiError(409, `Job is ${job.status}`);
+            res.json(await jobs.readResults(job.id));
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    router.get('/jobs/:id/pages/:page/:image', async (req, res, next) => {
+        try {
+            const job = jobs.get(req.params.id);
+            if (!job) throw new ApiError(404, `No job "${req.params.id}"`);
+            if (job.status !== 'completed') throw new ApiError(409, `Job is ${job.status}`);
+            const image = PAGE_IMAGES.includes(req.params.image)
+                ? await jobs.readImage(job.id, Number(req.params.page), req.params.image)
+                : null;
+            if (!image) throw new ApiError(404, `No image "${req.params.image}" for page pair ${req.params.page}`);
+            res.type('png').send(image);
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    router.use((err, req, res, next) => {
+        const status = toStatus(err);
+        if (status === 500) console.error(err);
+        const message = err.code === 'LIMIT_FILE_SIZE' ? `${err.field} is larger than ${maxFileSize} bytes` : err.message;
+        res.status(status).json({ error: message });
+    });
+
+    return router;
+}
+
+function toStatus(err) {
+    if (err instanceof ApiError) return err.status;
+    if (err instanceof multer.MulterError) {
+        return err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    }
+    // Errors from express.json()
+    if (err.type === 'entity.too.large') return 413;
+    if (err.type === 'entity.parse.failed' || err.type === 'request.aborted') return 400;
+    return 500;
+}
+
+/**
+ * Validate a comparison request and read both PDFs
+ * @returns {Promise<Object>} `{ engine, options, inputs, pageMapping }`
+ */
+async function readComparison(req, limits) {
+    const { root, maxFileSize } = limits;
+    const body = req.body || {};
+    const options = parseOptions(body.options, limits);
+    let pageMapping = parseJsonField(body.pageMapping, 'pageMapping');
+    const inputs = {};
+    for (const side of ['A', 'B']) {
+        inputs[side] = await readInput(req, side, root, maxFileSize);
+    }
+
+    let engine;
+    try {
+        engine = createEngine({ ...options, includeImages: true });
+    } catch (err) {
+        throw new ApiError(400, `Invalid options: ${err.message}`);
+    }
+    const numPages = {};
+    const pageSize = { width: 0, height: 0 };
+    for (const side of ['A', 'B']) {
+        const info = await checkDocument(engine, inputs[side].data, inputs[side].field);
+        numPages[side] = info.numPages;
+        pageSize.width = Math.max(pageSize.width, info.pageSize.width);
+        pageSize.height = Math.max(pageSize.height, info.pageSize.height);
+    }
+    checkRegionBounds(engine.options, pageSize);
+    if (pageMapping !== undefined) {
+        pageMapping = parsePageMapping(pageMapping, numPages);
+    }
+    return { engine, options, inputs, pageMapping };
+}
+
+async function parseCallbackUrl(value, { secret, allowedHosts }) {
+    if (value === undefined || value === '') return null;
+    let url;
+    try {
+        url = new URL(value);
+    } catch (err) {
+        throw new ApiError(400, `Invalid callbackUrl: ${value}`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new ApiError(400, 'callbackUrl must be an http or https URL');
+    }
+    if (!secret) {
+        throw new ApiError(400, 'Callbacks are disabled. Start the server with PDF_DIFF_WEBHOOK_SECRET to sign them.');
+    }
+    try {
+        await checkCallbackUrl(url, { allowedHosts });
+    } catch (err) {
+        throw new ApiError(400, `Invalid callbackUrl: ${err.message}`);
+    }
+    return url.href;
+}
+
+/**
+ * Job as answered by the API: status, progress and links, without its storage details
+ * @param {string} [origin] - Prefix making the links absolute
+ */
+function describeJob(job, origin = '') {
+    const self = `${origin}${job.baseUrl}/jobs/${job.id}`;
+    return {
+        id: job.id,
+        status: job.status,
+        files: { a: job.names.A, b: job.names.B },
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        expiresAt: job.expiresAt,
+        progress: job.progress,
+        error: job.error,
+        options: job.options,
+        callback: job.callback,
+        links: job.status === 'completed' ? { self, results: `${self}/results` } : { self }
+    };
+}
+
+/**
+ * Multipart forms send JSON fields as strings, JSON bodies as values
+ */
+function parseJsonField(value, field) {
+    if (value === undefined || value === '') return undefined;
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (err) {
+        throw new ApiError(400, `Invalid ${field} JSON: ${err.message}`);
+    }
+}
+
+/**
+ * Check a `pageMapping` against both documents before the engine sees it
+ * @param {*} value - Parsed `pageMapping` field
+ * @param {Object} numPages - `{ A, B }` page counts
+ * @returns {Array<Object>} `{ pageA, pageB }` pairs
+ */
+function parsePageMapping(value, numPages) {
+    if (!Array.isArray(value)) {
+        throw new ApiError(400, 'pageMapping must be an array of { pageA, pageB } pairs');
+    }
+    return value.map((entry, index) => {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            throw new ApiError(400, `pageMapping[${index}] must be an object with pageA and pageB`);
+        }
+        const pair = {};
+        for (const side of ['A', 'B']) {
+            const page = entry[`page${side}`] ?? null;
+            if (page !== null && !(Number.isInteger(page) && page >= 1 && page <= numPages[side])) {
+                throw new ApiError(400, `pageMapping[${index}].page${side} must be null or a page from 1 to ${numPages[side]}`);
+            }
+            pair[`page${side}`] = page;
+        }
+        if (pair.pageA === null && pair.pageB === null) {
+            throw new ApiError(400, `pageMapping[${index}]: pageA and pageB cannot both be null`);
+        }
+        return pair;
+    });
+}
+
+function parseOptions(value, limits) {
+    const options = parseJsonField(value, 'options') ?? {};
+    if (typeof options !== 'object' || Array.isArray(options)) {
+        throw new ApiError(400, 'options must be a JSON object');
+    }
+    const rejected = Object.keys(options).filter(key => SERVER_OPTIONS.includes(key));
+    if (rejected.length) {
+        throw new ApiError(400, `Options set by the server: ${rejected.join(', ')}`);
+    }
+    if (options.alignmentTolerance !== undefined) {
+        throw new ApiError(400, 'alignmentTolerance is not supported: pages are aligned across the whole document');
+    }
+    // Custom expressions would run against every page's text on the server, so only built-in rules are accepted
+    if (options.ignorePatterns !== undefined
+        && !(Array.isArray(options.ignorePatterns) && options.ignorePatterns.every(entry => typeof entry === 'string'))) {
+        throw new ApiError(400, 'ignorePatterns must list built-in rule names such as "date" or "pageNumber"');
+    }
+    ['cropRegions', 'maskRegions'].forEach(key => parseRegions(options[key], key));
+    if (options.scale !== undefined && !(options.scale > 0 && options.scale <= limits.maxScale)) {
+        throw new ApiError(400, `scale must be between 0 and ${limits.maxScale}`);
+    }
+    for (const [key, range] of Object.entries(NUMERIC_OPTIONS)) {
+        if (options[key] === undefined) continue;
+        const max = typeof range.max === 'string' ? limits[range.max] : range.max;
+        if (typeof options[key] !== 'number' || !(options[key] >= range.min && options[key] <= max)) {
+            throw new ApiError(400, max === Infinity
+                ? `${key} must be a number of at least ${range.min}`
+                : `${key} must be between ${range.min} and ${max}`);
+        }
+    }
+    return options;
+}
+
+/**
+ * `cropRegions` / `maskRegions`: `{ page, x, y, width, height }` in pixels at render scale
+ */
+function parseRegions(value, key) {
+    if (value === undefined) return;
+    if (!Array.isArray(value)) {
+        throw new ApiError(400, `${key} must be an array of { page, x, y, width, height } regions`);
+    }
+    value.forEach((region, index) => {
+        if (!region || typeof region !== 'object' || Array.isArray(region)) {
+            throw new ApiError(400, `${key}[${index}] must be an object with page, x, y, width and height`);
+        }
+        if (!(Number.isInteger(region.page) && region.page >= 1)) {
+            throw new ApiError(400, `${key}[${index}].page must be a page number`);
+        }
+        for (const name of ['x', 'y', 'width', 'height']) {
+            const min = name === 'x' || name === 'y' ? 0 : 1;
+            if (!(Number.isFinite(region[name]) && region[name] >= min)) {
+                throw new ApiError(400, `${key}[${index}].${name} must be a number of at least ${min}`);
+            }
+        }
+    });
+}
+
+/**
+ * Regions may not reach past the largest page, so they can't make the engine allocate huge canvases
+ * @param {Object} options - Options of the request's engine, with the profile normalized
+ * @param {Object} pageSize - Largest page `{ width, height }` of both documents in PDF points
+ */
+function checkRegionBounds(options, pageSize) {
+    const pixels = { width: Math.ceil(pageSize.width * options.scale), height: Math.ceil(pageSize.height * options.scale) };
+    for (const key of ['cropRegions', 'maskRegions']) {
+        options[key].forEach((region, index) => {
+            if (region.x + region.width > pixels.width || region.y + region.height > pixels.height) {
+                throw new ApiError(400, `${key}[${index}] reaches past the largest page (${pixels.width}×${pixels.height} pixels at scale ${options.scale})`);
+            }
+        });
+    }
+    for (const key of ['crops', 'masks']) {
+        (options.profile?.[key] || []).forEach((region, index) => {
+            const bounds = region.units === '%' ? { width: 100, height: 100 } : pageSize;
+            if (region.x < 0 || region.y < 0 || region.x + region.width > bounds.width || region.y + region.height > bounds.height) {
+                throw new ApiError(400, `profile ${key}[${index}] reaches past the largest page (${bounds.width}×${bounds.height} ${region.units})`);
+            }
+        });
+    }
+}
+
+/**
+ * Read one side of the comparison from an upload (`fileA`) or a local file (`urlA`)
+ */
+async function readInput(req, side, root, maxFileSize) {
+    const upload = req.files?.[`file${side}`]?.[0];
+    const location = req.body?.[`url${side}`];
+    let input;
+
+    if (upload) {
+        input = { data: upload.buffer, name: upload.originalname, field: `file${side}` };
+    } else if (typeof location === 'string' && location) {
+        input = await readLocalFile(location, `url${side}`, root, maxFileSize);
+    } else {
+        throw new ApiError(400, `Missing file${side} (multipart upload) or url${side} (local file)`);
+    }
+
+    if (!input.data.subarray(0, 1024).includes('%PDF-')) {
+        throw new ApiError(415, `${input.field} is not a PDF`);
+    }
+    return input;
+}
+
+async function readLocalFile(location, field, root, maxFileSize) {
+    if (!root) {
+        throw new ApiError(403, 'Local files are disabled. Start the server with PDF_DIFF_ROOT to allow them.');
+    }
+
+    let filePath;
+    if (location.startsWith('file:')) {
+        try {
+            filePath = fileURLToPath(location);
+        } catch (err) {
+            throw new ApiError(400, `Invalid ${field}: ${err.message}`);
+        }
+    } else if (/^[a-z][a-z0-9+.-]+:/i.test(location)) {
+        throw new ApiError(400, `${field} must be a file: URL or a path inside the server's root`);
+    } else {
+        filePath = path.resolve(root, location);
+    }
+
+    // Resolve symlinks so a link inside the root can't point outside it
+    let realPath;
+    try {
+        realPath = await realpath(filePath);
+    } catch (err) {
+        throw new ApiError(404, `${field} not found: ${location}`);
+    }
+    const relative = path.relative(await realpath(root), realPath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw new ApiError(403, `${field} is outside the server's root`);
+    }
+
+    const info = await stat(realPath);
+    if (!info.isFile()) {
+        throw new ApiError(400, `${field} is not a file: ${location}`);
+    }
+    if (info.size > maxFileSize) {
+        throw new ApiError(413, `${field} is larger than ${maxFileSize} bytes`);
+    }
+    return { data: await readFile(realPath), name: path.basename(realPath), field };
+}
+
+/**
+ * Open a document once so encrypted and broken files get a 4xx naming the file
+ * @returns {Promise<Object>} `{ numPages, pageSize }`, with the largest page `{ width, height }` in PDF points
+ */
+async function checkDocument(engine, data, field) {
+    let doc;
+    try {
+        // PDF.js may take ownership of the buffer, so hand it a copy
+        doc = await engine._loadDocument(new Uint8Array(data));
+    } catch (err) {
+        if (err.name === 'PasswordException') {
+            throw new ApiError(422, `${field} is encrypted`);
+        }
+        throw new ApiError(422, `${field} could not be read: ${err.message}`);
+    }
+    const pageSize = { width: 0, height: 0 };
+    for (let i = 1; i <= doc.numPages; i++) {
+        const viewport = (await doc.getPage(i)).getViewport({ scale: 1 });
+        pageSize.width = Math.max(pageSize.width, viewport.width);
+        pageSize.height = Math.max(pageSize.height, viewport.height);
+    }
+    const numPages = doc.numPages;
+    await doc.destroy();
+    return { numPages, pageSize };
+}
+
+/**
+ * Results JSON with the page images swapped for links, plus the images as PNG buffers
+ */
+function toStoredResults(id, results, selfUrl) {
+    const images = [];
+    const pageResults = results.pageResults.map((pageResult, index) => {
+        const { overlayA, overlayB, images: layers, ...rest } = pageResult;
+        const pageUrl = `${selfUrl}/pages/${index + 1}`;
+        images.push({
+            'overlay-a.png': dataUrlToBuffer(overlayA),
+            'overlay-b.png': dataUrlToBuffer(overlayB),
+            'diff.png': dataUrlToBuffer(layers.diff)
+        });
+        return {
+            ...rest,
+            links: {
+                overlayA: `${pageUrl}/overlay-a.png`,
+                overlayB: `${pageUrl}/overlay-b.png`,
+                diff: `${pageUrl}/diff.png`
+            }
+        };
+    });
+
+    const options = { ...results.options };
+    SERVER_OPTIONS.forEach(key => delete options[key]);
+
+    return {
+        images,
+        json: {
+            id,
+            links: { self: selfUrl },
+            ...results,
+            options,
+            pageResults
+        }
+    };
+}
@@ -0,0 +1,264 @@
+/**
+ * Batch comparison - compares many PDF pairs with shared options, e.g. every
+ * statement of `old/` against the same file in `new/` after a release.
+ * Pairs come from matching file names or from a manifest CSV.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { PDFDiffEngine, createEngine } from './index.js';
+
+const STATUSES = ['identical', 'changed', 'missing', 'added', 'failed'];
+
+/**
+ * Pair the PDFs of two directories by their path relative to each directory
+ * @param {string} dirA - Directory with the old files
+ * @param {string} dirB - Directory with the new files
+ * @returns {Promise<Array<Object>>} `{ name, fileA, fileB }` sorted by name; fileA or fileB is null
+ *   for a file only one directory has
+ */
+export async function pairDirectories(dirA, dirB) {
+    const [filesA, filesB] = await Promise.all([listPdfs(dirA), listPdfs(dirB)]);
+    const names = [...new Set([...filesA, ...filesB])].sort();
+    return names.map(name => ({
+        name,
+        fileA: filesA.has(name) ? path.join(dirA, name) : null,
+        fileB: filesB.has(name) ? path.join(dirB, name) : null
+    }));
+}
+
+/**
+ * Read pairs from a CSV file with a `fileA,fileB` header and an optional `name` column.
+ * Leave a cell empty for a file only one side has.
+ * @param {string} file - Manifest path
+ * @param {Object} [dirs] - `{ dirA, dirB }` the paths are relative to (default: the manifest's directory)
+ * @returns {Promise<Array<Object>>} `{ name, fileA, fileB }`
+ */
+export async function readManifest(file, { dirA, dirB } = {}) {
+    // Spreadsheet exports often start with a byte order mark
+    const [header, ...rows] = parseCsv((await readFile(file, 'utf8')).replace(/^\uFEFF/, ''));
+    const columns = (header || []).map(column => column.trim());
+    const indexA = columns.indexOf('fileA');
+    const indexB = columns.indexOf('fileB');
+    const indexName = columns.indexOf('name');
+    if (indexA === -1 || indexB === -1) {
+        throw new Error(`Manifest ${file} needs a header row with fileA and fileB columns`);
+    }
+
+    const baseDir = path.dirname(file);
+    return rows.map((row, index) => {
+        const cellA = (row[indexA] || '').trim();
+        const cellB = (row[indexB] || '').trim();
+        if (!cellA && !cellB) {
+            throw new Error(`Manifest ${file}, row ${index + 2}: fileA and fileB are both empty`);
+        }
+        return {
+            name: (indexName !== -1 && row[indexName]?.trim()) || cellA || cellB,
+            fileA: cellA ? path.resolve(dirA || baseDir, cellA) : null,
+            fileB: cellB ? path.resolve(dirB || baseDir, cellB) : null
+        };
+    });
+}
+
+/**
+ * Compare pairs concurrently. A pair that fails is reported and the batch goes on.
+ * @param {Array<Object>} pairs - `{ name, fileA, fileB }` from pairDirectories() or readManifest()
+ * @param {Object} [config]
+ * @param {Object} [config.options] - Engine options shared by every pair (same names as PDFDiffViewer)
+ * @param {number} [config.threshold] - Diff pixels a pair may have and still count as identical (default: 0)
+ * @param {number} [config.concurrency] - Pairs compared at once (default: 2)
+ * @param {Function} [config.onPairComplete] - `(entry, results, engine)` as each pair finishes;
+ *   `results` and `engine` are null for pairs that were not compared
+ * @returns {Promise<Object>} `{ pairs, counts }`: one entry per pair with `status` ('identical', 'changed',
+ *   'missing', 'added' or 'failed'), `error` and the scores `totalDiffPixels`, `similarity`, `percentChanged`
+ *   and `stats`; `counts` per status
+ */
+export async function compareBatch(pairs, config = {}) {
+    const { options = {}, threshold = 0, concurrency = 2, onPairComplete } = config;
+    const entries = new Array(pairs.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < pairs.length) {
+            const index = next++;
+            entries[index] = await comparePair(pairs[index], options, threshold, onPairComplete);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, pairs.length)) }, worker));
+
+    const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    entries.forEach((entry) => {
+        counts[entry.status]++;
+    });
+    return { pairs: entries, counts };
+}
+
+/**
+ * Pair two directories by file name and compare them
+ * @param {string} dirA - Directory with the old files
+ * @param {string} dirB - Directory with the new files
+ * @param {Object} [config] - See compareBatch()
+ */
+export async function compareDirectories(dirA, dirB, config = {}) {
+    return await compareBatch(await pairDirectories(dirA, dirB), config);
+}
+
+/**
+ * Render a batch as a standalone HTML index. Entries with a `report` path link to it.
+ * @param {Object} batch - Result of compareBatch()
+ * @param {Object} [reportOptions]
+ * @param {string} [reportOptions.title]
+ * @returns {string} HTML document
+ */
+export function renderBatchReport(batch, { title = 'PDF Batch Comparison' } = {}) {
+    const esc = value => PDFDiffEngine.prototype._escapeHtml(value);
+    const colors = { identical: '#4CAF50', changed: '#FF9800', missing: '#F44336', added: '#2196F3', failed: '#9E9E9E' };
+    const percent = value => (value === null ? '—' : `${(value * 100).toFixed(1)}%`);
+
+    const rows = batch.pairs.map(entry => `<tr>
+        <td>${entry.report ? `<a href="${esc(entry.report)}">${esc(entry.name)}</a>` : esc(entry.name)}</td>
+        <td><span class="tag" style="background:${colors[entry.status]}">${esc(entry.status)}</span></td>
+        <td>${esc(entry.pages ?? '—')}</td>
+        <td>${percent(entry.similarity)}</td>
+        <td>${entry.percentChanged === null ? '—' : `${esc(entry.percentChanged.toFixed(2))}%`}</td>
+        <td>${esc(entry.totalDiffPixels ?? '—')}</td>
+        <td>${esc(entry.error || '')}</td>
+    </tr>`).join('');
+    const counts = STATUSES.map(status => `<strong>${esc(batch.counts[status])}</strong> ${status}`).join(', ');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${esc(title)}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 24px; color: #222; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ddd; padding: 6px 10px; text-align: left; font-size: 14px; }
+    th { background: #f5f5f5; }
+    .tag { color: #fff; border-radius: 3px; padding: 0 6px; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>${esc(title)}</h1>
+<p>${batch.pairs.length} file(s): ${counts}. Generated ${esc(new Date().toISOString())}.</p>
+<table>
+    <tr><th>File</th><th>Status</th><th>Pages</th><th>Similarity</th><th>Pixels changed</th><th>Diff pixels</th><th>Error</th></tr>
+    ${rows}
+</table>
+</body>
+</html>
+`;
+}
+
+async function comparePair({ name, fileA, fileB }, options, threshold, onPairComplete) {
+    const entry = {
+        name,
+        fileA,
+        fileB,
+        status: null,
+        pages: null,
+        totalDiffPixels: null,
+        similarity: null,
+        percentChanged: null,
+        stats: null,
+        error: null
+    };
+    let results = null;
+    let engine = null;
+
+    if (!fileB) {
+        entry.status = 'missing';
+    } else if (!fileA) {
+        entry.status = 'added';
+    } else {
+        try {
+            engine = createEngine(options);
+            const [dataA, dataB] = await Promise.all([readFile(fileA), readFile(fileB)]);
+            results = await engine.compare(dataA, dataB, {
+                nameA: path.basename(fileA),
+                nameB: path.basename(fileB)
+            });
+            Object.assign(entry, {
+                status: results.totalDiffPixels > threshold ? 'changed' : 'identical',
+                pages: results.totalPages,
+                totalDiffPixels: results.totalDiffPixels,
+                similarity: results.stats.similarity,
+                percentChanged: results.stats.percentChanged,
+                stats: results.stats
+            });
+        } catch (err) {
+            Object.assign(entry, { status: 'failed', error: err.message });
+            results = null;
+            engine = null;
+        }
+    }
+
+    if (onPairComplete) {
+        try {
+            await onPairComplete(entry, results, engine);
+        } catch (err) {
+            Object.assign(entry, { status: 'failed', error: err.message });
+        }
+    }
+    return entry;
+}
+
+/**
+ * PDFs below a directory, as paths relative to it with `/` separators
+ */
+async function listPdfs(dir, prefix = '') {
+    const files = new Set();
+    for (const entry of await readdir(path.join(dir, prefix), { withFileTypes: true })) {
+        const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            (await listPdfs(dir, relative)).forEach(file => files.add(file));
+        } else if (entry.isFile() && /\.pdf$/i.test(entry.name)) {
+            files.add(relative);
+        }
+    }
+    return files;
+}
+
+/**
+ * Parse CSV text into rows of cells; quoted cells may hold commas, quotes ("") and line breaks
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+    // Skip blank lines
+    return rows.filter(cells => cells.some(value => value.trim()));
+}
@@ -0,0 +1,450 @@
+/**
+ * Command-line interface for pdf-diff-viewer
+ *
+ *   pdf-diff-viewer [serve]                 Start the web UI
+ *   pdf-diff-viewer compare a.pdf b.pdf     Compare two PDFs headless
+ *   pdf-diff-viewer batch old/ new/         Compare matching PDFs of two directories
+ *   pdf-diff-viewer snapshot name out.pdf   Compare a PDF against its approved baseline
+ *   pdf-diff-viewer approve|reject [name]   Accept or discard changed snapshots
+ */
+
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { createEngine, dataUrlToBuffer } from './index.js';
+import { compareBatch, pairDirectories, readManifest, renderBatchReport } from './batch.js';
+import { DEFAULT_SNAPSHOT_DIR, approveSnapshots, describeSnapshot, matchSnapshot, rejectSnapshots } from './snapshot.js';
+
+// Exit codes
+export const EXIT_OK = 0;
+export const EXIT_DIFF = 1;
+export const EXIT_ERROR = 2;
+
+// CLI flag -> engine option, for flags that take a number
+const NUMERIC_OPTIONS = {
+    'scale': 'scale',
+    'max-shift': 'maxShift',
+    'color-tolerance': 'colorTolerance',
+    'dilation-radius': 'dilationRadius',
+    'min-highlight-area': 'minHighlightArea',
+    'min-word-size': 'minWordSize',
+    'highlight-alpha': 'highlightAlpha',
+    'similarity-threshold': 'similarityThreshold',
+    'perceptual-threshold': 'perceptualThreshold'
+};
+
+const USAGE = `Usage:
+  pdf-diff-viewer [serve]                  Start the web UI and REST API (PORT env, default 3000)
+  pdf-diff-viewer compare <a.pdf> <b.pdf>  Compare two PDFs and write overlays
+  pdf-diff-viewer batch <dirA> <dirB>      Compare the PDFs of two directories by file name
+  pdf-diff-viewer batch --manifest <file.csv> [dirA dirB]
+                                           Compare the pairs listed in a CSV file
+  pdf-diff-viewer snapshot <name> <file.pdf>
+                                           Compare a PDF against the baseline stored as <name>
+  pdf-diff-viewer approve [name...]        Make changed snapshots the new baselines (default: all)
+  pdf-diff-viewer reject [name...]         Discard changed snapshots (default: all)
+
+Compare options:
+  --out <dir>                  Output directory (default: pdf-diff-output)
+  --threshold <pixels>         Max total diff pixels before failing (default: 0)
+  --report <file.html>         Also write a standalone HTML report
+  --annotate <a|b|both>        Also write annotated-<a|b>.pdf copies with highlight annotations
+  --scale <n>                  Rendering scale (default: 3.0)
+  --max-shift <px>             Max pixel shift for alignment (default: 3)
+  --alignment-method <name>    pyramid (coarse-to-fine) or exhaustive (default: pyramid)
+  --local-alignment            Align each text block on its own (inserted paragraphs
+                               no longer shift everything below them)
+  --color-tolerance <n>        Color difference threshold (default: 120)
+  --diff-metric <name>         rgb (channel sum vs --color-tolerance), yiq or ciede2000
+                               (default: rgb)
+  --perceptual-threshold <n>   Threshold for yiq (0-1, default: 0.1) or ciede2000
+                               (Delta E, default: 2.3)
+  --ignore-antialiasing        Ignore differences explained by anti-aliased edges
+  --dilation-radius <px>       Expand diff pixels by radius (default: 0)
+  --min-highlight-area <px>    Min area to highlight (default: 60)
+  --min-word-size <px>         Min word box size (default: 8)
+  --similarity-threshold <n>   Min text similarity for page matching (default: 0.3)
+  --mask <page:x,y,w,h>        Ignore a region (repeatable)
+  --crop <page:x,y,w,h>        Compare only a region of a page (repeatable)
+  --ignore <name|/regex/flags> Ignore text matching a pattern on both pages: date, time,
+                               uuid, pageNumber or a regex (repeatable)
+  --profile <file.json>        Crops and masks for page selectors such as "*", "odd",
+                               "last" or "2-5", in PDF points or percent
+
+Batch options (plus --out, --threshold and the engine options above):
+  --manifest <file.csv>        Pairs to compare: fileA,fileB[,name] columns, paths relative
+                               to dirA / dirB or the manifest's directory
+  --concurrency <n>            Pairs compared at once (default: 2)
+
+Snapshot options (plus --threshold and the engine options above):
+  --snapshot-dir <dir>         Baselines and candidates (default: __pdf_snapshots__)
+  --update                     Replace a changed baseline instead of failing
+  --ci                         Fail when the baseline is missing instead of writing it
+
+Exit codes: 0 = within threshold, 1 = differences over threshold (batch: any file
+changed, missing or added; snapshot: changed or missing baseline), 2 = error
+(batch: any pair failed)`;
+
+class UsageError extends Error {}
+
+/**
+ * Parse a `page:x,y,w,h` region argument
+ */
+function parseRegion(value, flag) {
+    const match = /^(\d+):(-?\d+),(-?\d+),(\d+),(\d+)$/.exec(value || '');
+    if (!match) {
+        throw new UsageError(`Invalid ${flag} "${value}". Expected page:x,y,width,height`);
+    }
+    const [page, x, y, width, height] = match.slice(1).map(Number);
+    return { page, x, y, width, height };
+}
+
+/**
+ * Parse an `--ignore` value: `/regex/flags`, or a built-in name the engine checks
+ */
+function parseIgnorePattern(value) {
+    const match = /^\/(.+)\/([a-z]*)$/s.exec(value);
+    return match ? { pattern: match[1], flags: match[2] } : value;
+}
+
+/**
+ * Split argv into positionals and engine/CLI options
+ */
+export function parseArgs(argv) {
+    const positionals = [];
+    const options = { cropRegions: [], maskRegions: [], ignorePatterns: [] };
+    const cli = {
+        out: 'pdf-diff-output', threshold: 0, report: null, annotate: [], profile: null, manifest: null, concurrency: 2,
+        snapshotDir: DEFAULT_SNAPSHOT_DIR, update: false, ci: false, help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+
+        let [flag, value] = arg.slice(2).split(/=(.*)/s);
+        if (flag === 'help') {
+            cli.help = true;
+            continue;
+        }
+        if (flag === 'local-alignment') {
+            options.localAlignment = value !== 'false';
+            continue;
+        }
+        if (flag === 'ignore-antialiasing') {
+            options.ignoreAntialiasing = value !== 'false';
+            continue;
+        }
+        if (flag === 'update' || flag === 'ci') {
+            cli[flag] = value !== 'false';
+            continue;
+        }
+        if (value === undefined) {
+            value = argv[++i];
+        }
+        if (value === undefined) {
+            throw new UsageError(`Missing value for --${flag}`);
+        }
+
+        if (flag in NUMERIC_OPTIONS) {
+            const number = Number(value);
+            if (!Number.isFinite(number)) {
+                throw new UsageError(`--${flag} expects a number, got "${value}"`);
+            }
+            options[NUMERIC_OPTIONS[flag]] = number;
+        } else if (flag === 'mask') {
+            options.maskRegions.push(parseRegion(value, '--mask'));
+        } else if (flag === 'crop') {
+            options.cropRegions.push(parseRegion(value, '--crop'));
+        } else if (flag === 'alignment-method') {
+            if (!['pyramid', 'exhaustive'].includes(value)) {
+                throw new UsageError(`--alignment-method expects pyramid or exhaustive, got "${value}"`);
+            }
+            options.alignmentMethod = value;
+        } else if (flag === 'diff-metric') {
+            if (!['rgb', 'yiq', 'ciede2000'].includes(value)) {
+                throw new UsageError(`--diff-metric expects rgb, yiq or ciede2000, got "${value}"`);
+            }
+            options.diffMetric = value;
+        } else if (flag === 'ignore') {
+            options.ignorePatterns.push(parseIgnorePattern(value));
+        } else if (flag === 'profile') {
+            cli.profile = value;
+        } else if (flag === 'out') {
+            cli.out = value;
+        } else if (flag === 'report') {
+            cli.report = value;
+        } else if (flag === 'annotate') {
+            if (!['a', 'b', 'both'].includes(value)) {
+                throw new UsageError(`--annotate expects a, b or both, got "${value}"`);
+            }
+            cli.annotate = value === 'both' ? ['a', 'b'] : [value];
+        } else if (flag === 'snapshot-dir') {
+            cli.snapshotDir = value;
+        } else if (flag === 'manifest') {
+            cli.manifest = value;
+        } else if (flag === 'concurrency') {
+            cli.concurrency = Number(value);
+            if (!Number.isInteger(cli.concurrency) || cli.concurrency < 1) {
+                throw new UsageError(`--concurrency expects a positive integer, got "${value}"`);
+            }
+        } else if (flag === 'threshold') {
+            cli.threshold = Number(value);
+            if (!Number.isFinite(cli.threshold)) {
+                throw new UsageError(`--threshold expects a number, got "${value}"`);
+            }
+        } else {
+            throw new UsageError(`Unknown option --${flag}`);
+        }
+    }
+
+    return { positionals, options, cli };
+}
+
+/**
+ * Read a comparison profile JSON file
+ */
+async function loadProfile(file) {
+    const text = await readFile(file, 'utf8');
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Cannot parse profile ${file}: ${err.message}`);
+    }
+}
+
+async function runCompare(positionals, options, cli) {
+    if (positionals.length !== 2) {
+        throw new UsageError('compare expects exactly two PDF files');
+    }
+    const [fileA, fileB] = positionals;
+
+    if (cli.profile) {
+        options.profile = await loadProfile(cli.profile);
+    }
+
+    const engine = createEngine(options);
+    const [dataA, dataB] = await Promise.all([readFile(fileA), readFile(fileB)]);
+    const results = await engine.compare(dataA, dataB, {
+        nameA: path.basename(fileA),
+        nameB: path.basename(fileB)
+    });
+    await mkdir(cli.out, { recursive: true });
+
+    const pages = [];
+    for (const pageResult of results.pageResults) {
+        // Pages only one document has are named e.g. page-none-4
+        const baseName = `page-${pageResult.pageNumA ?? 'none'}-${pageResult.pageNumB ?? 'none'}`;
+        const overlayA = `${baseName}-a.png`;
+        const overlayB = `${baseName}-b.png`;
+        await writeFile(path.join(cli.out, overlayA), dataUrlToBuffer(pageResult.overlayA));
+        await writeFile(path.join(cli.out, overlayB), dataUrlToBuffer(pageResult.overlayB));
+
+        pages.push({
+            type: pageResult.type,
+            pageA: pageResult.pageNumA,
+            pageB: pageResult.pageNumB,
+            diffPixels: pageResult.diffPixels,
+            suppressed: pageResult.suppressed,
+            similarity: pageResult.similarity,
+            stats: pageResult.stats,
+            alignment: pageResult.alignment,
+            textChanges: pageResult.textChanges,
+            changes: pageResult.changes,
+            blocks: pageResult.blocks,
+            overlayA,
+            overlayB
+        });
+    }
+
+    const passed = results.totalDiffPixels <= cli.threshold;
+    const summary = {
+        fileA: path.resolve(fileA),
+        fileB: path.resolve(fileB),
+        options,
+        threshold: cli.threshold,
+        passed,
+        totalPages: results.totalPages,
+        totalDiffPixels: results.totalDiffPixels,
+        suppressed: results.suppressed,
+        stats: results.stats,
+        documents: results.documents,
+        pageMapping: results.pageMapping,
+        pages
+    };
+    await writeFile(path.join(cli.out, 'summary.json'), JSON.stringify(summary, null, 2));
+
+    pages.forEach((page) => {
+        let label = page.pageA === page.pageB ? `Page ${page.pageA}` : `Page ${page.pageA} ↔ ${page.pageB}`;
+        if (page.type === 'deleted') label = `Page ${page.pageA} (only in ${path.basename(fileA)})`;
+        if (page.type === 'inserted') label = `Page ${page.pageB} (only in ${path.basename(fileB)})`;
+        console.log(`${label}: ${page.diffPixels} diff pixel(s), ${page.stats.percentChanged.toFixed(2)}% changed`);
+    });
+    console.log(`Total: ${results.totalDiffPixels} diff pixel(s) across ${results.totalPages} page(s), threshold ${cli.threshold}`);
+    const { stats } = results;
+    console.log(`Similarity ${(stats.similarity * 100).toFixed(1)}%, ${stats.changeRegions} change region(s), ` +
+        `${Math.round(stats.changedArea)} pt² changed, ${stats.wordsAdded} word(s) added, ${stats.wordsRemoved} removed`);
+    const suppressed = Object.entries(results.suppressed).filter(([, count]) => count);
+    if (suppressed.length) {
+        console.log(`Ignored by pattern: ${suppressed.map(([rule, count]) => `${rule} ${count}`).join(', ')}`);
+    }
+    console.log(`Results written to ${path.resolve(cli.out)}`);
+
+    if (cli.report) {
+        const html = engine.exportReport(results, {
+            format: 'html',
+            title: `${path.basename(fileA)} vs ${path.basename(fileB)}`
+        });
+        await writeFile(cli.report, html);
+        console.log(`Report written to ${path.resolve(cli.report)}`);
+    }
+
+    for (const side of cli.annotate) {
+        const annotatedPath = path.join(cli.out, `annotated-${side}.pdf`);
+        await writeFile(annotatedPath, await engine.exportAnnotatedPdf(results, { document: side }));
+        console.log(`Annotated PDF written to ${path.resolve(annotatedPath)}`);
+    }
+
+    return passed ? EXIT_OK : EXIT_DIFF;
+}
+
+async function runBatch(positionals, options, cli) {
+    if (cli.manifest ? ![0, 2].includes(positionals.length) : positionals.length !== 2) {
+        throw new UsageError('batch expects two directories, or --manifest <file.csv> with optional base directories');
+    }
+    const [dirA, dirB] = positionals;
+
+    if (cli.profile) {
+        options.profile = await loadProfile(cli.profile);
+    }
+    const pairs = cli.manifest
+        ? await readManifest(cli.manifest, { dirA, dirB })
+        : await pairDirectories(dirA, dirB);
+    await mkdir(cli.out, { recursive: true });
+    const reportNames = new Set();
+
+    const batch = await compareBatch(pairs, {
+        options,
+        threshold: cli.threshold,
+        concurrency: cli.concurrency,
+        onPairComplete: async (entry, results, engine) => {
+            if (entry.status === 'changed') {
+                // Changed pairs get a full report, linked from the index
+                entry.report = `reports/${reportFileName(entry.name, reportNames)}`;
+                await mkdir(path.join(cli.out, 'reports'), { recursive: true });
+                await writeFile(path.join(cli.out, entry.report), engine.exportReport(results, { format: 'html', title: entry.name }));
+            }
+            const detail = entry.error
+                || (entry.similarity !== null ? `similarity ${(entry.similarity * 100).toFixed(1)}%, ${entry.totalDiffPixels} diff pixel(s)` : '');
+            console.log(`${entry.status.padEnd(9)} ${entry.name}${detail ? `  ${detail}` : ''}`);
+        }
+    });
+
+    const index = {
+        dirA: dirA ? path.resolve(dirA) : null,
+        dirB: dirB ? path.resolve(dirB) : null,
+        manifest: cli.manifest ? path.resolve(cli.manifest) : null,
+        options,
+        threshold: cli.threshold,
+        counts: batch.counts,
+        pairs: batch.pairs
+    };
+    await writeFile(path.join(cli.out, 'index.json'), JSON.stringify(index, null, 2));
+    await writeFile(path.join(cli.out, 'index.html'), renderBatchReport(batch, {
+        title: dirA && dirB ? `${dirA} vs ${dirB}` : 'PDF Batch Comparison'
+    }));
+
+    console.log(`Total: ${Object.entries(batch.counts).map(([status, count]) => `${count} ${status}`).join(', ')}`);
+    console.log(`Index written to ${path.resolve(cli.out, 'index.html')}`);
+
+    if (batch.counts.failed) return EXIT_ERROR;
+    return batch.pairs.some(entry => entry.status !== 'identical') ? EXIT_DIFF : EXIT_OK;
+}
+
+/**
+ * File name for a pair's report: the pair name made safe, plus a hash of the name so
+ * `a/b.pdf` and `a_b.pdf` don't collide, and a counter for names a manifest repeats
+ */
+function reportFileName(name, taken) {
+    const base = `${name.replace(/[^\w.-]+/g, '_')}-${createHash('sha256').update(name).digest('hex').slice(0, 8)}`;
+    let fileName = `${base}.html`;
+    for (let n = 2; taken.has(fileName); n++) {
+        fileName = `${base}-${n}.html`;
+    }
+    taken.add(fileName);
+    return fileName;
+}
+
+async function runSnapshot(positionals, options, cli) {
+    if (positionals.length !== 2) {
+        throw new UsageError('snapshot expects a snapshot name and a PDF file');
+    }
+    const [name, file] = positionals;
+
+    if (cli.profile) {
+        options.profile = await loadProfile(cli.profile);
+    }
+    const outcome = await matchSnapshot(name, file, {
+        dir: cli.snapshotDir,
+        options,
+        threshold: cli.threshold,
+        update: cli.update,
+        ci: cli.ci
+    });
+    console.log(describeSnapshot(outcome, cli.snapshotDir));
+    return ['changed', 'missing'].includes(outcome.status) ? EXIT_DIFF : EXIT_OK;
+}
+
+/**
+ * Run the CLI and resolve to a process exit code
+ * @param {string[]} argv - Arguments after the executable name
+ */
+export async function run(argv) {
+    const [command = 'serve', ...rest] = argv;
+
+    try {
+        if (command === '--help' || command === 'help') {
+            console.log(USAGE);
+            return EXIT_OK;
+        }
+        if (command === 'serve') {
+            await import('../../server.js');
+            return EXIT_OK;
+        }
+
+        const { positionals, options, cli } = parseArgs(rest);
+        if (cli.help) {
+            console.log(USAGE);
+            return EXIT_OK;
+        }
+
+        if (command === 'compare') {
+            return await runCompare(positionals, options, cli);
+        }
+        if (command === 'batch') {
+            return await runBatch(positionals, options, cli);
+        }
+        if (command === 'snapshot') {
+            return await runSnapshot(positionals, options, cli);
+        }
+        if (command === 'approve' || command === 'reject') {
+            const settle = command === 'approve' ? approveSnapshots : rejectSnapshots;
+            const names = await settle(positionals, { dir: cli.snapshotDir });
+            console.log(names.length
+                ? `${command === 'approve' ? 'Approved' : 'Rejected'}: ${names.join(', ')}`
+                : `No changed snapshots in ${cli.snapshotDir}`);
+            return EXIT_OK;
+        }
+        throw new UsageError(`Unknown command "${command}"`);
+    } catch (err) {
+        if (err instanceof UsageError) {
+            console.error(`${err.message}\n\n${USAGE}`);
+        } else {
+            console.error(`Error: ${err.message}`);
+        }
+        return EXIT_ERROR;
+    }
+}
@@ -0,0 +1,73 @@
+/**
+ * Node.js entry point - runs the PDFDiffEngine headless using pdfjs-dist and
+ * node-canvas, so comparisons can run in CI without a browser.
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { createRequire } from 'module';
+import '../PDFDiffEngine.js';
+
+const require = createRequire(import.meta.url);
+const { PDFDiffEngine } = globalThis;
+
+const pdfjsDir = path.dirname(require.resolve('pdfjs-dist/package.json'));
+
+function loadCanvas() {
+    try {
+        return require('canvas');
+    } catch (err) {
+        throw new Error('The optional "canvas" package is required for Node.js comparisons. Install it with `npm install canvas`.');
+    }
+}
+
+/**
+ * Create a PDFDiffEngine wired to pdfjs-dist and node-canvas
+ * @param {Object} options - Same option names as PDFDiffViewer
+ * @returns {PDFDiffEngine}
+ */
+export function createEngine(options = {}) {
+    const { createCanvas } = loadCanvas();
+    const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+
+    return new PDFDiffEngine({
+        ...options,
+        pdfjsLib,
+        pdfLib: require('pdf-lib'),
+        canvasFactory: { create: (width = 0, height = 0) => createCanvas(width, height) },
+        documentParams: {
+            standardFontDataUrl: path.join(pdfjsDir, 'standard_fonts') + path.sep,
+            cMapUrl: path.join(pdfjsDir, 'cmaps') + path.sep,
+            cMapPacked: true,
+            ...options.documentParams
+        }
+    });
+}
+
+/**
+ * Compare two PDF files from disk
+ * @param {string} fileA - Path to the first PDF
+ * @param {string} fileB - Path to the second PDF
+ * @param {Object} options - Same option names as PDFDiffViewer
+ * @returns {Promise<Object>} Comparison results
+ */
+export async function compareFiles(fileA, fileB, options = {}) {
+    const engine = createEngine(options);
+    const [dataA, dataB] = await Promise.all([readFile(fileA), readFile(fileB)]);
+    return await engine.compare(dataA, dataB, {
+        nameA: path.basename(fileA),
+        nameB: path.basename(fileB)
+    });
+}
+
+/**
+ * Decode a `data:image/png;base64,...` URL from the results into a Buffer
+ */
+export function dataUrlToBuffer(dataUrl) {
+    return Buffer.from(dataUrl.slice(dataUrl.indexOf(',') + 1), 'base64');
+}
+
+export { pairDirectories, readManifest, compareBatch, compareDirectories, renderBatchReport } from './batch.js';
+export { matchSnapshot, approveSnapshots, rejectSnapshots, toMatchPdfSnapshot, describeSnapshot } from './snapshot.js';
+export { PDFDiffEngine };
+export default PDFDiffEngine;
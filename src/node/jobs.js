@@ -0,0 +1,346 @@
+/**
+ * JobQueue - runs comparisons that take longer than one HTTP request.
+ * Each job lives in its own directory under `dir`, so finished results
+ * survive a server restart until their retention period ends:
+ *
+ *   job.json              Status and per-page progress
+ *   a.pdf, b.pdf          Inputs, removed once the job is finished
+ *   results.json          Results JSON of a completed job
+ *   pages/<n>-<image>     Page images of a completed job
+ *
+ * Jobs with a callback URL are announced through `notify` once they
+ * complete or fail; every delivery attempt is logged in job.json.
+ */
+
+import { mkdir, readdir, readFile, rename, rm, writeFile } from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+// Expired jobs are looked for at most every 10 minutes and at least every second
+const MAX_SWEEP_INTERVAL = 10 * 60 * 1000;
+const MIN_SWEEP_INTERVAL = 1000;
+
+export class JobQueue {
+    /**
+     * @param {Object} config
+     * @param {string} config.dir - Directory for job files
+     * @param {Function} config.run - `(job, { A, B }, compareOptions)` comparing the input buffers;
+     *   resolves to `{ json, images }`, with `images[index]` mapping image names to PNG buffers
+     * @param {number} [config.concurrency] - Jobs running at once (default: 1)
+     * @param {number} [config.retention] - Milliseconds a finished job is kept (default: 24 hours)
+     * @param {number} [config.maxQueued] - Jobs waiting at most; add() refuses more (default: 100)
+     * @param {Function} [config.notify] - `(job, onAttempt)` delivering the callback of a finished job;
+     *   resolves to whether it was delivered
+     * @throws {Error} When `concurrency` isn't a whole number of at least 1 or `retention` isn't a positive number
+     */
+    constructor({ dir, run, notify, concurrency = 1, retention = 24 * 60 * 60 * 1000, maxQueued = 100 }) {
+        if (!(Number.isInteger(concurrency) && concurrency >= 1)) {
+            throw new Error(`Job concurrency must be a whole number of at least 1, got ${concurrency}`);
+        }
+        if (!(Number.isFinite(retention) && retention > 0)) {
+            throw new Error(`Job retention must be a positive number of milliseconds, got ${retention}`);
+        }
+        this.dir = dir;
+        this.run = run;
+        this.notify = notify;
+        this.concurrency = concurrency;
+        this.retention = retention;
+        this.maxQueued = maxQueued;
+
+        this.jobs = new Map();
+        this._queue = [];
+        this._running = new Map();
+        this._writes = new Map();
+
+        this._ready = this._restore();
+        // add() waits for the restore and rejects with its error; until then nobody else would handle it
+        this._ready.catch((err) => {
+            console.error(`Could not restore jobs from ${dir}: ${err.message}`);
+        });
+        const sweepInterval = Math.max(MIN_SWEEP_INTERVAL, Math.min(retention, MAX_SWEEP_INTERVAL));
+        this._sweepTimer = setInterval(() => this.sweep(), sweepInterval);
+        this._sweepTimer.unref();
+    }
+
+    /**
+     * Whether add() would refuse another job
+     */
+    isFull() {
+        return this._queue.length >= this.maxQueued;
+    }
+
+    /**
+     * Queue a comparison
+     * @param {Object} request
+     * @param {Object} request.inputs - `{ A: { data, name }, B: { data, name } }`
+     * @param {Object} [request.options] - Engine options
+     * @param {Array<Object>} [request.pageMapping] - Manual page mapping
+     * @param {string} [request.baseUrl] - URL the job is served under, kept for result links
+     * @param {string} [request.origin] - Scheme and host for absolute links in callbacks
+     * @param {string} [request.callbackUrl] - URL notified when the job completes or fails
+     * @returns {Promise<Object>} The job
+     */
+    async add({ inputs, options = {}, pageMapping, baseUrl = '', origin = '', callbackUrl = null }) {
+        await this._ready;
+        if (this.isFull()) {
+            throw new Error(`Job queue is full (${this.maxQueued} waiting)`);
+        }
+
+        const id = randomUUID();
+        const job = {
+            id,
+            status: 'queued',
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            expiresAt: null,
+            names: { A: inputs.A.name, B: inputs.B.name },
+            options,
+            pageMapping,
+            baseUrl,
+            origin,
+            progress: { phase: 'queued', completed: 0, total: 0, pages: [] },
+            error: null,
+            callback: callbackUrl ? { url: callbackUrl, status: null, deliveries: [] } : null
+        };
+
+        await mkdir(this._path(id), { recursive: true });
+        await writeFile(this._path(id, 'a.pdf'), inputs.A.data);
+        await writeFile(this._path(id, 'b.pdf'), inputs.B.data);
+        this.jobs.set(id, job);
+        await this._save(job);
+
+        this._queue.push(id);
+        this._next();
+        return job;
+    }
+
+    /**
+     * @returns {Object|null} The job, or null when unknown or expired
+     */
+    get(id) {
+        const job = this.jobs.get(id);
+        if (!job || (job.expiresAt && Date.parse(job.expiresAt) <= Date.now())) return null;
+        return job;
+    }
+
+    /**
+     * Cancel a queued or running job. A finished job is deleted with its results.
+     * @returns {Promise<Object|null>} The cancelled job, or null when it was deleted
+     */
+    async cancel(id) {
+        const job = this.get(id);
+        if (!job) return null;
+
+        if (FINISHED.includes(job.status)) {
+            await this._remove(id);
+            return null;
+        }
+        if (job.status === 'queued') {
+            this._queue.splice(this._queue.indexOf(id), 1);
+        } else {
+            // The comparison stops at its next abort check; _start() ignores its outcome
+            this._running.get(id).abort();
+        }
+        await this._finish(job, 'cancelled');
+        return job;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} Results JSON of a completed job
+     */
+    async readResults(id) {
+        const job = this.get(id);
+        if (!job || job.status !== 'completed') return null;
+        return JSON.parse(await readFile(this._path(id, 'results.json'), 'utf8'));
+    }
+
+    /**
+     * @param {number} page - 1-based page pair index
+     * @returns {Promise<Buffer|null>} A page image of a completed job
+     */
+    async readImage(id, page, image) {
+        const job = this.get(id);
+        if (!job || job.status !== 'completed' || !Number.isInteger(page) || page < 1) return null;
+        try {
+            return await readFile(this._path(id, 'pages', `${page}-${path.basename(image)}`));
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Delete finished jobs past their retention period
+     */
+    async sweep() {
+        const now = Date.now();
+        for (const job of [...this.jobs.values()]) {
+            if (job.expiresAt && Date.parse(job.expiresAt) <= now) {
+                await this._remove(job.id);
+            }
+        }
+    }
+
+    /**
+     * Stop the retention timer and abort running jobs. They are queued
+     * again when a new JobQueue opens the same directory.
+     */
+    async close() {
+        clearInterval(this._sweepTimer);
+        this._queue = [];
+        this._closed = true;
+        this._running.forEach(controller => controller.abort());
+        await Promise.all(this._writes.values());
+    }
+
+    // ===== RUNNING =====
+
+    _next() {
+        while (!this._closed && this._running.size < this.concurrency && this._queue.length) {
+            this._start(this.jobs.get(this._queue.shift()));
+        }
+    }
+
+    async _start(job) {
+        const controller = new AbortController();
+        this._running.set(job.id, controller);
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        this._save(job);
+
+        try {
+            const [dataA, dataB] = await Promise.all([
+                readFile(this._path(job.id, 'a.pdf')),
+                readFile(this._path(job.id, 'b.pdf'))
+            ]);
+            const { json, images } = await this.run(job, { A: dataA, B: dataB }, {
+                signal: controller.signal,
+                onProgress: ({ phase, completed, total }) => {
+                    Object.assign(job.progress, { phase, completed, total });
+                    this._save(job);
+                },
+                onMappingResolved: (pageMapping) => {
+                    job.progress.pages = pageMapping.map(({ type, pageA, pageB }) => ({ type, pageA, pageB, status: 'pending' }));
+                },
+                onPageComplete: (pageResult, index) => {
+                    Object.assign(job.progress.pages[index], {
+                        status: 'completed',
+                        diffPixels: pageResult.diffPixels,
+                        percentChanged: pageResult.stats.percentChanged
+                    });
+                }
+            });
+            if (controller.signal.aborted) return;
+
+            await mkdir(this._path(job.id, 'pages'), { recursive: true });
+            for (const [index, pageImages] of images.entries()) {
+                for (const [name, buffer] of Object.entries(pageImages)) {
+                    await writeFile(this._path(job.id, 'pages', `${index + 1}-${name}`), buffer);
+                }
+            }
+            await writeFile(this._path(job.id, 'results.json'), JSON.stringify(json));
+            await this._finish(job, 'completed');
+        } catch (err) {
+            if (controller.signal.aborted) return;
+            job.error = err.message;
+            await this._finish(job, 'failed');
+        } finally {
+            this._running.delete(job.id);
+            this._next();
+        }
+    }
+
+    async _finish(job, status) {
+        // A job cancelled while its results were being written stays cancelled
+        if (FINISHED.includes(job.status)) return;
+        const now = Date.now();
+        job.status = status;
+        job.finishedAt = new Date(now).toISOString();
+        job.expiresAt = new Date(now + this.retention).toISOString();
+        await this._save(job);
+        await rm(this._path(job.id, 'a.pdf'), { force: true });
+        await rm(this._path(job.id, 'b.pdf'), { force: true });
+        if (job.callback && status !== 'cancelled') {
+            this._notify(job);
+        }
+    }
+
+    async _notify(job) {
+        job.callback.status = 'pending';
+        this._save(job);
+        let delivered = false;
+        try {
+            delivered = await this.notify(job, (attempt) => {
+                job.callback.deliveries.push(attempt);
+                this._save(job);
+            });
+        } catch (err) {
+            console.error(`Could not notify ${job.callback.url} about job ${job.id}: ${err.message}`);
+        }
+        job.callback.status = delivered ? 'delivered' : 'failed';
+        await this._save(job);
+    }
+
+    // ===== STORAGE =====
+
+    _path(id, ...parts) {
+        return path.join(this.dir, id, ...parts);
+    }
+
+    /**
+     * Write job.json; writes of one job are chained so they land in order
+     */
+    _save(job) {
+        const previous = this._writes.get(job.id) || Promise.resolve();
+        const write = previous.then(async () => {
+            // Deleted jobs stay deleted
+            if (!this.jobs.has(job.id)) return;
+            const file = this._path(job.id, 'job.json');
+            await writeFile(`${file}.tmp`, JSON.stringify(job, null, 2));
+            await rename(`${file}.tmp`, file);
+        }).catch((err) => {
+            console.error(`Could not save job ${job.id}: ${err.message}`);
+        });
+        this._writes.set(job.id, write);
+        return write;
+    }
+
+    async _remove(id) {
+        this.jobs.delete(id);
+        await this._writes.get(id);
+        this._writes.delete(id);
+        await rm(this._path(id), { recursive: true, force: true });
+    }
+
+    /**
+     * Load the jobs of an earlier run; unfinished ones are queued again
+     */
+    async _restore() {
+        await mkdir(this.dir, { recursive: true });
+        const restored = [];
+        for (const entry of await readdir(this.dir, { withFileTypes: true })) {
+            if (!entry.isDirectory()) continue;
+            try {
+                restored.push(JSON.parse(await readFile(this._path(entry.name, 'job.json'), 'utf8')));
+            } catch (err) {
+                // Not a job directory, or the job was never saved
+            }
+        }
+
+        restored.sort((a, b) => a.createdAt.localeCompare(b.createdAt)).forEach((job) => {
+            this.jobs.set(job.id, job);
+            if (!FINISHED.includes(job.status)) {
+                Object.assign(job, { status: 'queued', startedAt: null });
+                job.progress = { phase: 'queued', completed: 0, total: 0, pages: [] };
+                this._queue.push(job.id);
+            } else if (job.callback?.status === 'pending') {
+                // The server stopped while retrying
+                this._notify(job);
+            }
+        });
+        await this.sweep();
+        this._next();
+    }
+}
@@ -0,0 +1,220 @@
+/**
+ * Snapshot testing - compares generated PDFs against approved baselines,
+ * like visual regression tests. For each snapshot name the snapshot
+ * directory holds:
+ *
+ *   <name>.pdf              Approved baseline
+ *   <name>.candidate.pdf    Last candidate that didn't match, until approved or rejected
+ *   <name>.diff.html        HTML report of that mismatch
+ */
+
+import { mkdir, readdir, readFile, rename, rm, writeFile } from 'fs/promises';
+import path from 'path';
+import { createEngine } from './index.js';
+
+export const DEFAULT_SNAPSHOT_DIR = '__pdf_snapshots__';
+
+const CANDIDATE_SUFFIX = '.candidate.pdf';
+
+/**
+ * Compare a PDF against the baseline stored under `name`.
+ * Without a baseline the PDF becomes the baseline, unless `ci` is set.
+ * @param {string} name - Snapshot name
+ * @param {string|Buffer|Uint8Array} pdf - Candidate PDF, or a path to it
+ * @param {Object} [config]
+ * @param {string} [config.dir] - Snapshot directory (default: __pdf_snapshots__)
+ * @param {Object} [config.options] - Engine options (same names as PDFDiffViewer)
+ * @param {number} [config.threshold] - Diff pixels allowed before the snapshot counts as changed (default: 0)
+ * @param {boolean} [config.update] - Replace the baseline instead of failing on change
+ * @param {boolean} [config.ci] - Fail instead of writing a missing baseline
+ * @returns {Promise<Object>} `{ name, status, baseline, candidate, report, results }` with status 'passed',
+ *   'written', 'updated', 'changed' or 'missing'; candidate and report are set for 'changed'
+ */
+export async function matchSnapshot(name, pdf, config = {}) {
+    const { dir = DEFAULT_SNAPSHOT_DIR, options = {}, threshold = 0, update = false, ci = false } = config;
+    const files = snapshotFiles(dir, name);
+    const data = typeof pdf === 'string' ? await readFile(pdf) : pdf;
+    const outcome = { name, status: null, baseline: files.baseline, candidate: null, report: null, results: null };
+
+    let baseline;
+    try {
+        baseline = await readFile(files.baseline);
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+
+    if (!baseline) {
+        if (ci) return { ...outcome, status: 'missing' };
+        await mkdir(dir, { recursive: true });
+        await writeFile(files.baseline, data);
+        return { ...outcome, status: 'written' };
+    }
+
+    const engine = createEngine(options);
+    const results = await engine.compare(baseline, data, {
+        nameA: path.basename(files.baseline),
+        nameB: typeof pdf === 'string' ? path.basename(pdf) : path.basename(files.candidate)
+    });
+    outcome.results = results;
+
+    const changed = results.totalDiffPixels > threshold;
+    if (changed && !update) {
+        await writeFile(files.candidate, data);
+        await writeFile(files.report, engine.exportReport(results, { format: 'html', title: `PDF snapshot "${name}"` }));
+        return { ...outcome, status: 'changed', candidate: files.candidate, report: files.report };
+    }
+
+    if (changed) {
+        await writeFile(files.baseline, data);
+    }
+    // A match or an update makes an earlier mismatch obsolete
+    await rm(files.candidate, { force: true });
+    await rm(files.report, { force: true });
+    return { ...outcome, status: changed ? 'updated' : 'passed' };
+}
+
+/**
+ * Promote candidates to baselines
+ * @param {string[]} [names] - Snapshot names; every pending candidate when empty
+ * @param {Object} [config]
+ * @param {string} [config.dir] - Snapshot directory (default: __pdf_snapshots__)
+ * @returns {Promise<string[]>} Names of the approved snapshots
+ */
+export async function approveSnapshots(names = [], { dir = DEFAULT_SNAPSHOT_DIR } = {}) {
+    const approved = [];
+    for (const name of names.length ? names : await listCandidates(dir)) {
+        const files = snapshotFiles(dir, name);
+        try {
+            await rename(files.candidate, files.baseline);
+        } catch (err) {
+            if (err.code === 'ENOENT') throw new Error(`No candidate for snapshot "${name}" in ${dir}`);
+            throw err;
+        }
+        await rm(files.report, { force: true });
+        approved.push(name);
+    }
+    return approved;
+}
+
+/**
+ * Discard candidates, keeping the baselines
+ * @param {string[]} [names] - Snapshot names; every pending candidate when empty
+ * @param {Object} [config]
+ * @param {string} [config.dir] - Snapshot directory (default: __pdf_snapshots__)
+ * @returns {Promise<string[]>} Names of the rejected snapshots
+ */
+export async function rejectSnapshots(names = [], { dir = DEFAULT_SNAPSHOT_DIR } = {}) {
+    const rejected = [];
+    for (const name of names.length ? names : await listCandidates(dir)) {
+        const files = snapshotFiles(dir, name);
+        await rm(files.candidate, { force: true });
+        await rm(files.report, { force: true });
+        rejected.push(name);
+    }
+    return rejected;
+}
+
+/**
+ * Jest / Vitest matcher: `expect.extend({ toMatchPdfSnapshot })`, then
+ * `await expect(pdfBuffer).toMatchPdfSnapshot()`.
+ * The snapshot is named after the test and stored in __pdf_snapshots__ next to
+ * the test file. Test runners don't expose their `-u` / `--ci` modes to custom
+ * matchers, so `PDF_SNAPSHOT_UPDATE=1` updates changed baselines and
+ * `PDF_SNAPSHOT_CI=1` (default: set when `CI` is) fails on missing ones.
+ * @param {string|Buffer|Uint8Array} received - PDF, or a path to it
+ * @param {string|Object} [nameOrConfig] - Snapshot name, or the config
+ * @param {Object} [config] - `dir`, `options`, `threshold`, `update` and `ci` as for matchSnapshot();
+ *   `update` and `ci` override the environment
+ */
+export async function toMatchPdfSnapshot(received, nameOrConfig, config = {}) {
+    if (typeof nameOrConfig === 'object' && nameOrConfig !== null) {
+        config = nameOrConfig;
+        nameOrConfig = undefined;
+    }
+    const name = nameOrConfig || nextTestSnapshotName(this);
+    const dir = config.dir || (this.testPath ? path.join(path.dirname(this.testPath), DEFAULT_SNAPSHOT_DIR) : DEFAULT_SNAPSHOT_DIR);
+
+    const outcome = await matchSnapshot(name, received, {
+        ...config,
+        dir,
+        update: config.update ?? envFlag('PDF_SNAPSHOT_UPDATE') ?? false,
+        ci: config.ci ?? envFlag('PDF_SNAPSHOT_CI') ?? envFlag('CI') ?? false
+    });
+    const pass = !['changed', 'missing'].includes(outcome.status);
+    return { pass, message: () => describeSnapshot(outcome, dir) };
+}
+
+/**
+ * Explain a matchSnapshot() outcome, with the paths to look at when it changed
+ */
+export function describeSnapshot(outcome, dir = DEFAULT_SNAPSHOT_DIR) {
+    const { name, status, results } = outcome;
+    if (status === 'missing') {
+        return `PDF snapshot "${name}" has no baseline in ${dir} (not written in CI)`;
+    }
+    if (status === 'written') {
+        return `PDF snapshot "${name}" written to ${outcome.baseline}`;
+    }
+    const pages = results.pageResults.filter(pageResult => pageResult.diffPixels > 0).length;
+    const scores = `similarity ${(results.stats.similarity * 100).toFixed(1)}%, ${results.totalDiffPixels} diff pixel(s) on ${pages} page(s)`;
+    if (status === 'changed') {
+        return `PDF snapshot "${name}" changed: ${scores}\n` +
+            `Candidate: ${outcome.candidate}\nReport: ${outcome.report}\n` +
+            `Run \`npx pdf-diff-viewer approve "${name}" --snapshot-dir ${dir}\` to accept it.`;
+    }
+    return `PDF snapshot "${name}" ${status === 'updated' ? 'updated' : 'matches'}: ${scores}`;
+}
+
+// Jest and Vitest start a new snapshot state for every run of a test file,
+// so re-runs in watch mode count from 1 again
+const snapshotCounts = new WeakMap();
+const unscopedCounts = new Map();
+
+/**
+ * `<test name> 1`, `<test name> 2`, ... for repeated snapshots in one test, like Jest's
+ */
+function nextTestSnapshotName({ testPath, currentTestName, snapshotState }) {
+    if (!currentTestName) {
+        throw new Error('toMatchPdfSnapshot() needs a snapshot name outside a test');
+    }
+    let counts = snapshotState ? snapshotCounts.get(snapshotState) : unscopedCounts;
+    if (!counts) {
+        counts = new Map();
+        snapshotCounts.set(snapshotState, counts);
+    }
+    const key = `${testPath}\0${currentTestName}`;
+    const count = (counts.get(key) || 0) + 1;
+    counts.set(key, count);
+    return `${currentTestName} ${count}`;
+}
+
+/**
+ * Boolean environment variable: `1` / `true` or `0` / `false`, undefined when unset
+ */
+function envFlag(variable) {
+    const value = process.env[variable];
+    if (value === undefined || value === '') return undefined;
+    return !['0', 'false'].includes(value.toLowerCase());
+}
+
+function snapshotFiles(dir, name) {
+    const base = path.join(dir, String(name).replace(/[^\w.-]+/g, '-'));
+    return {
+        baseline: `${base}.pdf`,
+        candidate: `${base}${CANDIDATE_SUFFIX}`,
+        report: `${base}.diff.html`
+    };
+}
+
+async function listCandidates(dir) {
+    let entries;
+    try {
+        entries = await readdir(dir);
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+    return entries
+        .filter(file => file.endsWith(CANDIDATE_SUFFIX))
+        .map(file => file.slice(0, -CANDIDATE_SUFFIX.length));
+}
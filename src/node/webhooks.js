@@ -0,0 +1,209 @@
+/**
+ * Webhook delivery - POSTs signed JSON notifications, retrying with
+ * exponential backoff. Receivers check the `X-PDF-Diff-Signature` and
+ * `X-PDF-Diff-Timestamp` headers with verifySignature() and the shared secret.
+ *
+ * Callbacks only go to public addresses: loopback, private, link-local and
+ * other reserved ranges are refused unless the host is listed in `allowedHosts`.
+ */
+
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+// Seconds a signed timestamp stays valid for verifySignature()
+const DEFAULT_TOLERANCE = 300;
+
+// Addresses a callback may not reach: "this network", private, shared (CGNAT), loopback,
+// link-local, IETF protocol and benchmarking ranges, multicast and reserved.
+// BlockList checks IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Sign a request body
+ * @param {string} body - Raw JSON body
+ * @param {string} secret - Shared secret
+ * @param {number|string} timestamp - Unix time in seconds, sent as `X-PDF-Diff-Timestamp`
+ * @returns {string} `sha256=<hex HMAC of "<timestamp>.<body>">`
+ */
+export function signPayload(body, secret, timestamp) {
+    return `sha256=${createHmac('sha256', secret).update(`${timestamp}.`).update(body).digest('hex')}`;
+}
+
+/**
+ * Check the `X-PDF-Diff-Signature` and `X-PDF-Diff-Timestamp` headers of a received webhook.
+ * Deliveries signed longer ago than `tolerance` are refused, so a captured request can't be replayed later.
+ * @param {string|Buffer} body - Raw request body, before JSON parsing
+ * @param {string} signature - `X-PDF-Diff-Signature` header
+ * @param {string} timestamp - `X-PDF-Diff-Timestamp` header
+ * @param {string} secret - Shared secret
+ * @param {Object} [options]
+ * @param {number} [options.tolerance] - Seconds the timestamp may differ from now (default: 300)
+ * @returns {boolean}
+ */
+export function verifySignature(body, signature, timestamp, secret, { tolerance = DEFAULT_TOLERANCE } = {}) {
+    if (!/^\d+$/.test(String(timestamp)) || Math.abs(Date.now() / 1000 - Number(timestamp)) > tolerance) {
+        return false;
+    }
+    const expected = Buffer.from(signPayload(body, secret, timestamp));
+    const actual = Buffer.from(String(signature || ''));
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Whether an IP address may receive callbacks
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return false;
+    return !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check that a callback URL points to a public host, resolving its name
+ * @param {string|URL} url - http(s) URL
+ * @param {Object} [options]
+ * @param {Array<string>} [options.allowedHosts] - Host names or addresses accepted even when private
+ * @returns {Promise<void>} Rejects when the host is refused or can't be resolved
+ */
+export async function checkCallbackUrl(url, { allowedHosts = [] } = {}) {
+    const hostname = hostnameOf(url);
+    if (isAllowedHost(hostname, allowedHosts)) return;
+    let addresses;
+    try {
+        addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+    } catch (err) {
+        throw new Error(`Callback host ${hostname} could not be resolved`);
+    }
+    if (!addresses.every(({ address }) => isPublicAddress(address))) {
+        throw new Error(`Callback host ${hostname} is not a public address`);
+    }
+}
+
+/**
+ * POST a payload until the receiver answers 2xx or the retries run out.
+ * 4xx answers other than 408 and 429 are not retried. Every attempt is signed with
+ * the current time, and resolved addresses are checked again so a host can't
+ * switch to a private address after checkCallbackUrl().
+ * @param {string} url - http(s) URL
+ * @param {Object} payload - JSON payload; `event` is also sent as `X-PDF-Diff-Event`
+ * @param {Object} config
+ * @param {string} config.secret - HMAC secret
+ * @param {number} [config.retries] - Attempts after the first (default: 5)
+ * @param {number} [config.backoff] - Milliseconds before the first retry, doubled for each next one (default: 1000)
+ * @param {number} [config.timeout] - Milliseconds per attempt (default: 10000)
+ * @param {Array<string>} [config.allowedHosts] - Host names or addresses accepted even when private
+ * @param {Function} [config.onAttempt] - Called with `{ attempt, at, status, error, duration }` after every attempt
+ * @returns {Promise<boolean>} Whether the webhook was delivered
+ */
+export async function deliverWebhook(url, payload, config) {
+    const { secret, retries = 5, backoff = 1000, timeout = 10000, allowedHosts = [], onAttempt } = config;
+    const body = JSON.stringify(payload);
+    const guarded = !isAllowedHost(hostnameOf(url), allowedHosts);
+    // Retries keep the id, so receivers can drop duplicates
+    const delivery = randomUUID();
+
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+        const started = Date.now();
+        const timestamp = String(Math.floor(started / 1000));
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'pdf-diff-viewer',
+            'X-PDF-Diff-Event': payload.event,
+            'X-PDF-Diff-Delivery': delivery,
+            'X-PDF-Diff-Timestamp': timestamp,
+            'X-PDF-Diff-Signature': signPayload(body, secret, timestamp)
+        };
+        let status = null;
+        let error = null;
+        let blocked = false;
+        try {
+            status = await postJson(url, body, headers, timeout, guarded);
+            if (status < 200 || status >= 300) error = `HTTP ${status}`;
+        } catch (err) {
+            error = err.message;
+            blocked = err.code === 'ERR_CALLBACK_HOST';
+        }
+        if (onAttempt) {
+            onAttempt({ attempt, at: new Date(started).toISOString(), status, error, duration: Date.now() - started });
+        }
+
+        if (!error) return true;
+        if (blocked) return false;
+        if (status >= 400 && status < 500 && status !== 408 && status !== 429) return false;
+        if (attempt <= retries) {
+            await new Promise(resolve => setTimeout(resolve, backoff * 2 ** (attempt - 1)));
+        }
+    }
+    return false;
+}
+
+/**
+ * @param {boolean} guarded - Refuse to connect to addresses that aren't public
+ * @returns {Promise<number>} Response status code
+ */
+function postJson(url, body, headers, timeout, guarded) {
+    return new Promise((resolve, reject) => {
+        const hostname = hostnameOf(url);
+        // IP literals never reach `lookup`, so they are checked here
+        if (guarded && net.isIP(hostname) && !isPublicAddress(hostname)) {
+            reject(blockedHostError(hostname));
+            return;
+        }
+        const client = url.startsWith('https:') ? https : http;
+        const request = client.request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            timeout,
+            ...(guarded && { lookup: guardedLookup })
+        }, (response) => {
+            // Drain the body so the socket is released
+            response.resume();
+            response.on('end', () => resolve(response.statusCode));
+            response.on('error', reject);
+        });
+        request.on('timeout', () => request.destroy(new Error(`No response within ${timeout} ms`)));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+/**
+ * dns.lookup() that fails for addresses callbacks may not reach
+ */
+function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+        const addresses = Array.isArray(address) ? address : [{ address }];
+        if (!addresses.every(entry => isPublicAddress(entry.address))) {
+            return callback(blockedHostError(hostname));
+        }
+        callback(null, address, family);
+    });
+}
+
+function blockedHostError(hostname) {
+    const error = new Error(`Callback host ${hostname} is not a public address`);
+    error.code = 'ERR_CALLBACK_HOST';
+    return error;
+}
+
+function hostnameOf(url) {
+    // URL keeps IPv6 addresses in brackets
+    return new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+function isAllowedHost(hostname, allowedHosts) {
+    return allowedHosts.some(host => host.replace(/^\[|\]$/g, '').toLowerCase() === hostname);
+}
@@ -0,0 +1,90 @@
+/**
+ * Pyramid offset search against the exhaustive scan it replaced, on a fixed
+ * synthetic page whose second version moved by a known offset. The work is
+ * measured in offsets and pixels compared; timings are only reported.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { performance } from 'perf_hooks';
+import { createRequire } from 'module';
+import { createEngine } from '../src/node/index.js';
+
+const require = createRequire(import.meta.url);
+const { createCanvas } = require('canvas');
+
+const WIDTH = 400;
+const HEIGHT = 520;
+
+// B's content is A's moved by (8, -6), so shifting B by (-8, 6) lines them up
+const MOVE = { x: 8, y: -6 };
+
+/**
+ * A page of "text lines": dark bars of fixed, varied widths inside a frame
+ */
+function drawPage(move = { x: 0, y: 0 }) {
+    const canvas = createCanvas(WIDTH, HEIGHT);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, WIDTH, HEIGHT);
+    ctx.translate(move.x, move.y);
+
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(30, 30, WIDTH - 60, HEIGHT - 60);
+
+    ctx.fillStyle = '#000000';
+    let seed = 7;
+    for (let y = 60; y < HEIGHT - 60; y += 18) {
+        let x = 50;
+        while (x < WIDTH - 80) {
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            const word = 12 + (seed % 40);
+            ctx.fillRect(x, y, Math.min(word, WIDTH - 60 - x), 9);
+            x += word + 7;
+        }
+    }
+    return canvas;
+}
+
+function timed(fn) {
+    const start = performance.now();
+    const result = fn();
+    return { result, ms: performance.now() - start };
+}
+
+test('pyramid search finds the exhaustive offset with far less work', (t) => {
+    const engine = createEngine({ maxShift: 12 });
+    const imgA = drawPage().getContext('2d').getImageData(0, 0, WIDTH, HEIGHT);
+    const canvasB = drawPage(MOVE);
+    const imgB = canvasB.getContext('2d').getImageData(0, 0, WIDTH, HEIGHT);
+    const tolerance = engine.options.colorTolerance;
+
+    // Every candidate offset is scored by one of these; they still run, only the calls are recorded
+    const fullSize = t.mock.method(engine, '_countDiffPixels');
+    const fullSizeShifted = t.mock.method(engine, '_countShiftedDiffPixels');
+    const downsampled = t.mock.method(engine, '_grayShiftCost');
+
+    const exhaustive = timed(() => engine._findBestOffset(imgA, canvasB, WIDTH, HEIGHT, tolerance));
+    const exhaustiveWork = { candidates: fullSize.mock.callCount(), pixels: fullSize.mock.callCount() * WIDTH * HEIGHT };
+    assert.equal(fullSizeShifted.mock.callCount() + downsampled.mock.callCount(), 0);
+
+    const pyramid = timed(() => engine._findBestOffsetPyramid(imgA, imgB, tolerance));
+    const coarse = downsampled.mock.calls.map(call => call.arguments[0]);
+    const pyramidWork = {
+        candidates: fullSizeShifted.mock.callCount() + coarse.length,
+        pixels: fullSizeShifted.mock.callCount() * WIDTH * HEIGHT + coarse.reduce((sum, level) => sum + level.width * level.height, 0)
+    };
+
+    t.diagnostic(`${WIDTH}x${HEIGHT} page, maxShift 12: exhaustive ${exhaustiveWork.candidates} offsets, ${exhaustive.ms.toFixed(0)} ms; ` +
+        `pyramid ${pyramidWork.candidates} offsets (${fullSizeShifted.mock.callCount()} at full size), ${pyramid.ms.toFixed(0)} ms`);
+
+    assert.deepEqual({ dx: exhaustive.result.dx, dy: exhaustive.result.dy }, { dx: -MOVE.x, dy: -MOVE.y });
+    assert.deepEqual({ dx: pyramid.result.dx, dy: pyramid.result.dy }, { dx: exhaustive.result.dx, dy: exhaustive.result.dy });
+
+    // The exhaustive scan scores all 25 x 25 offsets at full size; the pyramid refines at most 3 x 3 there
+    assert.equal(exhaustiveWork.candidates, 25 * 25);
+    assert.ok(fullSizeShifted.mock.callCount() <= 9, `${fullSizeShifted.mock.callCount()} full-size offsets`);
+    assert.ok(pyramidWork.pixels * 20 < exhaustiveWork.pixels,
+        `pyramid compared ${pyramidWork.pixels} pixels, exhaustive ${exhaustiveWork.pixels}`);
+});
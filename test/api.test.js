@@ -0,0 +1,174 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import http from 'http';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PDFDocument } from 'pdf-lib';
+import { createApiRouter } from '../src/node/api.js';
+
+let dir;
+let server;
+let router;
+let baseUrl;
+
+async function makePdf(numPages) {
+    const doc = await PDFDocument.create();
+    for (let i = 0; i < numPages; i++) doc.addPage([120, 80]);
+    return await doc.save();
+}
+
+before(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'pdf-diff-api-'));
+    await writeFile(path.join(dir, 'a.pdf'), await makePdf(2));
+    await writeFile(path.join(dir, 'b.pdf'), await makePdf(1));
+
+    router = createApiRouter({ root: dir, jobs: { dir: path.join(dir, 'jobs') } });
+    const app = express();
+    app.use('/api', router);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await router.jobs.close();
+    await rm(dir, { recursive: true, force: true });
+});
+
+async function post(route, body) {
+    const response = await fetch(baseUrl + route, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ urlA: 'a.pdf', urlB: 'b.pdf', ...body })
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+const INVALID_MAPPINGS = {
+    'page out of range': [{ pageA: 5, pageB: 1 }],
+    'object instead of array': {},
+    'string entry': ['1-1'],
+    'fractional page': [{ pageA: 1.5, pageB: 1 }],
+    'both pages null': [{ pageA: null, pageB: null }]
+};
+
+for (const [name, pageMapping] of Object.entries(INVALID_MAPPINGS)) {
+    test(`POST /compare rejects a pageMapping with a ${name} with 400`, async () => {
+        const { status, body } = await post('/compare', { pageMapping });
+        assert.equal(status, 400);
+        assert.match(body.error, /pageMapping/);
+    });
+}
+
+test('POST /compare accepts a valid pageMapping', async () => {
+    const { status, body } = await post('/compare', {
+        options: { scale: 0.5 },
+        pageMapping: [{ pageA: 1, pageB: 1 }, { pageA: 2, pageB: null }]
+    });
+    assert.equal(status, 201);
+    assert.deepEqual(body.pageMapping.map(m => m.type), ['matched', 'deleted']);
+});
+
+const INVALID_OPTIONS = {
+    'negative maxShift': { maxShift: -5 },
+    'maxShift above the limit': { maxShift: 500 },
+    'dilationRadius above the limit': { dilationRadius: 1000 },
+    'negative minHighlightArea': { minHighlightArea: -1 },
+    'string colorTolerance': { colorTolerance: '120' },
+    'highlightAlpha above 1': { highlightAlpha: 2 },
+    'deprecated alignmentTolerance': { alignmentTolerance: 2 },
+    'custom ignore pattern': { ignorePatterns: [{ name: 'slow', pattern: '(a+)+$' }] },
+    'ignorePatterns string': { ignorePatterns: 'date' },
+    'cropRegions string': { cropRegions: 'abc' },
+    'null cropRegions entry': { cropRegions: [null] },
+    'maskRegions entry without a size': { maskRegions: [{ page: 1, x: 0, y: 0 }] },
+    'negative maskRegions x': { maskRegions: [{ page: 1, x: -5, y: 0, width: 10, height: 10 }] },
+    'cropRegions past the page': { scale: 0.5, cropRegions: [{ page: 1, x: 0, y: 0, width: 100000, height: 100000 }] },
+    'profile crop past the page': { profile: { crops: [{ page: '*', x: 0, y: 0, width: 1000000, height: 10 }] } },
+    'profile with an invalid page selector': { profile: { masks: [{ page: 'x', x: 0, y: 0, width: 1, height: 1 }] } }
+};
+
+for (const [name, options] of Object.entries(INVALID_OPTIONS)) {
+    test(`POST /compare rejects a ${name} with 400`, async () => {
+        const { status, body } = await post('/compare', { options });
+        assert.equal(status, 400);
+        assert.match(body.error, new RegExp(Object.keys(options).pop()));
+    });
+}
+
+test('POST /compare accepts built-in ignore patterns and regions inside the page', async () => {
+    const { status } = await post('/compare', {
+        options: {
+            scale: 0.5,
+            ignorePatterns: ['date', 'pageNumber'],
+            cropRegions: [{ page: 1, x: 0, y: 0, width: 50, height: 30 }],
+            maskRegions: [{ page: 1, x: 5, y: 5, width: 10, height: 10 }],
+            profile: { masks: [{ page: '*', x: 0, y: 0, width: 50, height: 50, units: '%' }] }
+        }
+    });
+    assert.equal(status, 201);
+});
+
+test('POST /compare answers 503 while maxComparisons requests are running', async () => {
+    const limited = createApiRouter({ root: dir, maxComparisons: 1, jobs: { dir: path.join(dir, 'limited-jobs') } });
+    const app = express();
+    app.use('/api', limited);
+    const limitedServer = app.listen(0);
+    await new Promise(resolve => limitedServer.once('listening', resolve));
+    const url = `http://127.0.0.1:${limitedServer.address().port}/api/compare`;
+    const compare = () => fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ urlA: 'a.pdf', urlB: 'b.pdf', options: { scale: 0.5 } })
+    });
+
+    try {
+        // A request whose body never finishes holds the only slot
+        const stalled = http.request(url, { method: 'POST', headers: { 'Content-Type': 'application/json', 'Content-Length': 100 } });
+        stalled.on('error', () => {});
+        stalled.write('{');
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        const refused = await compare();
+        assert.equal(refused.status, 503);
+        assert.equal(refused.headers.get('retry-after'), '10');
+
+        // Closing the stalled request gives the slot back
+        stalled.destroy();
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.equal((await compare()).status, 201);
+    } finally {
+        await new Promise(resolve => limitedServer.close(resolve));
+        await limited.jobs.close();
+    }
+});
+
+for (const [name, pageMapping] of Object.entries(INVALID_MAPPINGS)) {
+    test(`POST /jobs rejects a pageMapping with a ${name} with 400 before queueing`, async () => {
+        const queued = router.jobs.jobs.size;
+        const { status, body } = await post('/jobs', { pageMapping });
+        assert.equal(status, 400);
+        assert.match(body.error, /pageMapping/);
+        assert.equal(router.jobs.jobs.size, queued);
+    });
+}
+
+test('POST /jobs rejects out-of-range options with 400 before queueing', async () => {
+    const queued = router.jobs.jobs.size;
+    const { status, body } = await post('/jobs', { options: { maxShift: -5 } });
+    assert.equal(status, 400);
+    assert.match(body.error, /maxShift/);
+    assert.equal(router.jobs.jobs.size, queued);
+});
+
+test('POST /jobs queues a job with a valid pageMapping', async () => {
+    const { status, body } = await post('/jobs', {
+        options: { scale: 0.5 },
+        pageMapping: [{ pageA: 2, pageB: 1 }, { pageA: 1, pageB: null }]
+    });
+    assert.equal(status, 202);
+    assert.deepEqual(router.jobs.get(body.id).pageMapping, [{ pageA: 2, pageB: 1 }, { pageA: 1, pageB: null }]);
+});
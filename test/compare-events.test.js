@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFDocument, StandardFonts } from 'pdf-lib';
+import { createEngine } from '../src/node/index.js';
+
+async function makePdf(lines) {
+    const doc = await PDFDocument.create();
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    lines.forEach(line => doc.addPage([200, 100]).drawText(line, { x: 20, y: 50, size: 12, font }));
+    return await doc.save();
+}
+
+test('compare() reports progress and each page as it finishes', async () => {
+    const engine = createEngine({ scale: 0.5 });
+    const phases = [];
+    const pages = [];
+    const results = await engine.compare(await makePdf(['One', 'Two']), await makePdf(['One', 'Too']), {
+        onProgress: ({ phase }) => phases.push(phase),
+        onPageComplete: (pageResult, index) => pages.push([index, pageResult.pageNumA])
+    });
+
+    assert.deepEqual([...new Set(phases)], ['loading', 'mapping', 'comparing', 'done']);
+    assert.deepEqual(pages.sort(), [[0, 1], [1, 2]]);
+    assert.equal(results.pageResults[0].diffPixels, 0);
+    assert.ok(results.pageResults[1].diffPixels > 0);
+});
+
+test('aborting a comparison rejects with an AbortError and reports no more pages', async () => {
+    const engine = createEngine({ scale: 0.5 });
+    const controller = new AbortController();
+    const pages = [];
+    const comparison = engine.compare(await makePdf(['One', 'Two', 'Three']), await makePdf(['One', 'Two', 'Three']), {
+        signal: controller.signal,
+        onPageComplete: (pageResult) => {
+            pages.push(pageResult.pageNumA);
+            controller.abort();
+        }
+    });
+
+    await assert.rejects(comparison, { name: 'AbortError' });
+    assert.deepEqual(pages, [1]);
+});
+
+test('a failed worker job is reported through onWarning and the page compared on the main thread', async (t) => {
+    const warnings = [];
+    const engine = createEngine({ scale: 0.5, onWarning: warning => warnings.push(warning) });
+    const warn = t.mock.method(console, 'warn');
+    t.mock.method(engine, '_getWorkerPool', () => ({ workers: [{}] }));
+    t.mock.method(engine, '_postPixelJob', async () => { throw new Error('worker crashed'); });
+
+    const results = await engine.compare(await makePdf(['One']), await makePdf(['Won']));
+
+    assert.deepEqual(warnings.map(({ code, error }) => [code, error.message]), [['worker-failed', 'worker crashed']]);
+    assert.equal(warn.mock.callCount(), 0);
+    assert.ok(results.pageResults[0].diffPixels > 0);
+});
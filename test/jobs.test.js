@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JobQueue } from '../src/node/jobs.js';
+
+const run = async () => ({ json: {}, images: [] });
+
+test('JobQueue refuses a retention or concurrency that is not a positive number', () => {
+    const dir = path.join(os.tmpdir(), 'pdf-diff-jobs-unused');
+    for (const retention of [0, -1, NaN, Infinity, '24']) {
+        assert.throws(() => new JobQueue({ dir, run, retention }), /retention/, String(retention));
+    }
+    for (const concurrency of [0, -1, NaN, 1.5, Infinity]) {
+        assert.throws(() => new JobQueue({ dir, run, concurrency }), /concurrency/, String(concurrency));
+    }
+});
+
+test('a failed restore is reported by add() instead of crashing the process', async (t) => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'pdf-diff-jobs-'));
+    // A file where the job directory should be
+    const file = path.join(dir, 'jobs');
+    await writeFile(file, '');
+    t.mock.method(console, 'error', () => {});
+
+    const jobs = new JobQueue({ dir: file, run });
+    try {
+        // Give an unhandled rejection the chance to surface
+        await new Promise(resolve => setTimeout(resolve, 50));
+        const inputs = { A: { data: Buffer.from(''), name: 'a.pdf' }, B: { data: Buffer.from(''), name: 'b.pdf' } };
+        await assert.rejects(jobs.add({ inputs }), /EEXIST|ENOTDIR/);
+        assert.match(console.error.mock.calls[0].arguments[0], /Could not restore jobs/);
+    } finally {
+        await jobs.close();
+        await rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFDocument, StandardFonts } from 'pdf-lib';
+import { createEngine } from '../src/node/index.js';
+
+const PARAGRAPH_A = ['Quarterly statement for account 1234', 'Opening balance 1,200.00', 'Closing balance 1,250.00'];
+const PARAGRAPH_B = ['Payment terms: thirty days net', 'Late payments incur a fee of 2%'];
+const PARAGRAPH_C = ['Thank you for your business', 'Questions? Call 555-0100'];
+
+async function makePdf(paragraphs) {
+    const doc = await PDFDocument.create();
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    const page = doc.addPage([300, 360]);
+    let y = 330;
+    paragraphs.forEach((lines) => {
+        lines.forEach((line) => {
+            page.drawText(line, { x: 20, y, size: 10, font });
+            y -= 14;
+        });
+        y -= 28;
+    });
+    return await doc.save();
+}
+
+test('an inserted paragraph counts as a difference with local alignment', async () => {
+    const pdfA = await makePdf([PARAGRAPH_A, PARAGRAPH_C]);
+    const pdfB = await makePdf([PARAGRAPH_A, PARAGRAPH_B, PARAGRAPH_C]);
+
+    const results = await createEngine({ scale: 1.5, localAlignment: true }).compare(pdfA, pdfB);
+    const [page] = results.pageResults;
+
+    const inserted = page.blocks.filter(block => block.type === 'inserted');
+    assert.equal(inserted.length, 1, 'the new paragraph is the only inserted block');
+    assert.deepEqual(page.blocks.map(block => block.type), ['matched', 'inserted', 'matched']);
+    assert.ok(results.totalDiffPixels > 0);
+    assert.ok(results.stats.similarity < 1);
+
+    // The paragraph below the insertion is matched with its own offset, so it adds no move or modified change
+    assert.deepEqual(page.changes.map(change => change.category), ['insertion']);
+    const [insertion] = page.changes;
+    assert.equal(insertion.textB, PARAGRAPH_B.join(' '));
+    const block = inserted[0].boxB;
+    insertion.boxesB.forEach((box) => {
+        assert.ok(box.y >= block.y && box.y + box.height <= block.y + block.height, 'the insertion stays inside the inserted block');
+    });
+});
+
+test('identical pages stay identical with local alignment', async () => {
+    const pdf = await makePdf([PARAGRAPH_A, PARAGRAPH_B, PARAGRAPH_C]);
+    const results = await createEngine({ scale: 1.5, localAlignment: true }).compare(pdf, pdf);
+    assert.equal(results.totalDiffPixels, 0);
+});
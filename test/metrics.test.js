@@ -0,0 +1,115 @@
+/**
+ * Pixel metrics and anti-aliasing detection on small synthetic images
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import { createEngine } from '../src/node/index.js';
+
+const require = createRequire(import.meta.url);
+const { ImageData } = require('canvas');
+
+const WHITE = [255, 255, 255];
+const BLACK = [0, 0, 0];
+
+/**
+ * ImageData from rows of [r, g, b] pixels
+ */
+function image(rows) {
+    const height = rows.length;
+    const width = rows[0].length;
+    const data = new Uint8ClampedArray(width * height * 4);
+    rows.flat().forEach(([r, g, b], index) => data.set([r, g, b, 255], index * 4));
+    return new ImageData(data, width, height);
+}
+
+function pixels(...colors) {
+    return new Uint8ClampedArray(colors.flatMap(([r, g, b]) => [r, g, b, 255]));
+}
+
+function diffPixels(options, imgA, imgB) {
+    const engine = createEngine(options);
+    const diffImage = new ImageData(imgA.width, imgA.height);
+    return engine._buildDiffImage(imgA, imgB, diffImage, engine.options.colorTolerance);
+}
+
+function assertClose(actual, expected, precision = 1e-4) {
+    assert.ok(Math.abs(actual - expected) < precision, `expected ${expected}, got ${actual}`);
+}
+
+test('rgb distance is the sum of channel differences', () => {
+    const engine = createEngine();
+    assert.equal(engine._pixelDelta(pixels(WHITE), pixels(BLACK), 0), 765);
+    assert.equal(engine._pixelDelta(pixels([200, 100, 50]), pixels([190, 110, 50]), 0), 20);
+
+    const isDifferent = createEngine({ colorTolerance: 120 })._makePixelComparator(120);
+    assert.equal(isDifferent(pixels(WHITE), pixels([215, 215, 215]), 0), false);
+    assert.equal(isDifferent(pixels(WHITE), pixels([214, 214, 214]), 0), true);
+});
+
+test('yiq distance weighs brightness most', () => {
+    const engine = createEngine({ diffMetric: 'yiq' });
+    assert.equal(engine._yiqDelta(pixels(WHITE), pixels(WHITE), 0), 0);
+    // Grays only differ in Y: 0.5053 * 255²
+    assertClose(engine._yiqDelta(pixels(WHITE), pixels(BLACK), 0), 0.5053 * 255 * 255, 1e-2);
+    assertClose(engine._yiqDelta(pixels([100, 100, 100]), pixels([110, 110, 110]), 0), 0.5053 * 100, 1e-2);
+
+    // perceptualThreshold 0.1 allows a delta of 35215 * 0.1²
+    const isDifferent = engine._makePixelComparator(engine.options.colorTolerance);
+    assert.equal(isDifferent(pixels(WHITE), pixels([230, 230, 230]), 0), false);
+    assert.equal(isDifferent(pixels(WHITE), pixels([220, 220, 220]), 0), true);
+});
+
+test('ciede2000 matches the reference pairs of Sharma, Wu and Dalal', () => {
+    const engine = createEngine({ diffMetric: 'ciede2000' });
+    assertClose(engine._ciede2000([50, 2.6772, -79.7751], [50, 0, -82.7485]), 2.0425);
+    assertClose(engine._ciede2000([50, -1.3802, -84.2814], [50, 0, -82.7485]), 1.0000);
+    assertClose(engine._ciede2000([50, 2.5, 0], [73, 25, -18]), 27.1492);
+    assertClose(engine._ciede2000([2.0776, 0.0795, -1.1350], [0.9033, -0.0636, -0.5514]), 0.9082);
+});
+
+test('rgb to Lab conversion uses the D65 white point', () => {
+    const engine = createEngine();
+    const [L, a, b] = engine._rgbToLab(255, 255, 255);
+    assertClose(L, 100, 1e-3);
+    assertClose(a, 0, 1e-3);
+    assertClose(b, 0, 1e-3);
+
+    const red = engine._rgbToLab(255, 0, 0);
+    assertClose(red[0], 53.2408, 1e-2);
+    assertClose(red[1], 80.0925, 1e-2);
+    assertClose(red[2], 67.2032, 1e-2);
+
+    // The default threshold of 2.3 is about one just-noticeable difference
+    const ciede2000 = createEngine({ diffMetric: 'ciede2000' });
+    const isDifferent = ciede2000._makePixelComparator(ciede2000.options.colorTolerance);
+    assert.equal(isDifferent(pixels(WHITE), pixels([254, 254, 254]), 0), false);
+    assert.equal(isDifferent(pixels(WHITE), pixels([240, 240, 240]), 0), true);
+});
+
+// A black bar on white whose right edge is anti-aliased into a gray column.
+// B renders the edge a lighter gray and adds a real change: a black dot.
+const A_EDGE = [100, 100, 100];
+const B_EDGE = [200, 200, 200];
+const row = (edge, dot = WHITE) => [BLACK, BLACK, BLACK, edge, WHITE, dot, WHITE];
+const edgeA = image([row(A_EDGE), row(A_EDGE), row(A_EDGE), row(A_EDGE), row(A_EDGE)]);
+const edgeB = image([row(B_EDGE), row(B_EDGE), row(B_EDGE, BLACK), row(B_EDGE), row(B_EDGE)]);
+
+test('anti-aliased edge pixels are detected in both images', () => {
+    const engine = createEngine();
+    const { width, height } = edgeA;
+    for (let y = 0; y < height; y++) {
+        assert.equal(engine._isAntialiased(edgeA.data, 3, y, width, height, edgeB.data), true, `edge pixel (3, ${y})`);
+    }
+    // The dot has no brighter neighbour, and a flat area is no edge
+    assert.equal(engine._isAntialiased(edgeB.data, 5, 2, width, height, edgeA.data), false);
+    assert.equal(engine._isAntialiased(edgeA.data, 5, 2, width, height, edgeB.data), false);
+});
+
+test('ignoreAntialiasing counts the real change but not the anti-aliased edge', () => {
+    assert.equal(diffPixels({}, edgeA, edgeB), 6);
+    assert.equal(diffPixels({ ignoreAntialiasing: true }, edgeA, edgeB), 1);
+    assert.equal(diffPixels({ ignoreAntialiasing: true, diffMetric: 'yiq' }, edgeA, edgeB), 1);
+    assert.equal(diffPixels({ ignoreAntialiasing: true }, edgeA, edgeA), 0);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEngine } from '../src/node/index.js';
+
+test('getPageRegions() resolves profile and explicit regions for a page', () => {
+    const engine = createEngine({
+        scale: 2,
+        maskRegions: [{ page: 1, x: 10, y: 10, width: 20, height: 20 }],
+        profile: {
+            crops: [{ page: 'last', x: 0, y: 50, width: 100, height: 100 }],
+            masks: [{ page: 'odd', x: 0, y: 0, width: 50, height: 10, units: '%' }]
+        }
+    });
+
+    assert.deepEqual(engine.getPageRegions(1, 3, 400, 600), {
+        crop: null,
+        masks: [
+            { page: 1, x: 10, y: 10, width: 20, height: 20 },
+            { page: 'odd', x: 0, y: 0, width: 200, height: 60 }
+        ]
+    });
+    // The profile crop is in points; the odd-page mask ends up relative to it
+    assert.deepEqual(engine.getPageRegions(3, 3, 400, 600), {
+        crop: { page: 'last', x: 0, y: 100, width: 200, height: 200 },
+        masks: [{ page: 'odd', x: 0, y: -100, width: 200, height: 60 }]
+    });
+    assert.deepEqual(engine.getPageRegions(2, 3, 400, 600), { crop: null, masks: [] });
+});
+
+test('getProfile() returns the normalized profile', () => {
+    const engine = createEngine({ profile: JSON.stringify({ name: 'Statements', masks: [{ page: '*', x: 1, y: 2, width: 3, height: 4 }] }) });
+    assert.deepEqual(engine.getProfile(), {
+        name: 'Statements',
+        crops: [],
+        masks: [{ page: '*', x: 1, y: 2, width: 3, height: 4, units: 'pt' }]
+    });
+    engine.setProfile(null);
+    assert.equal(engine.getProfile(), null);
+});
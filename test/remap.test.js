@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFDocument, StandardFonts } from 'pdf-lib';
+import { createEngine } from '../src/node/index.js';
+
+const PAGES = [
+    ['Introduction', 'This report covers the first quarter.'],
+    ['Revenue', 'Sales grew in every region this quarter.'],
+    ['Outlook', 'We expect steady demand next year.']
+];
+
+async function makePdf(pages) {
+    const doc = await PDFDocument.create();
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    pages.forEach((lines) => {
+        const page = doc.addPage([240, 160]);
+        lines.forEach((line, index) => page.drawText(line, { x: 20, y: 120 - index * 20, size: 11, font }));
+    });
+    return await doc.save();
+}
+
+async function compareThreeWithTwo() {
+    const engine = createEngine({ scale: 0.75 });
+    const results = await engine.compare(await makePdf(PAGES), await makePdf(PAGES.slice(0, 2)));
+    return { engine, results };
+}
+
+function describe(results) {
+    return results.pageResults.map(p => `${p.type}:${p.pageNumA}->${p.pageNumB}`);
+}
+
+/**
+ * Every page of A and of B is listed exactly once, in the page results and the mapping alike
+ */
+function assertEachPageOnce(results, pagesA, pagesB) {
+    const listed = key => results.pageResults.map(p => p[key]).filter(page => page !== null).sort();
+    assert.deepEqual(listed('pageNumA'), pagesA, `A pages in ${describe(results).join(' | ')}`);
+    assert.deepEqual(listed('pageNumB'), pagesB, `B pages in ${describe(results).join(' | ')}`);
+    assert.deepEqual(
+        results.pageMapping.map(({ type, pageA, pageB }) => `${type}:${pageA}->${pageB}`),
+        describe(results)
+    );
+    assert.equal(results.totalPages, results.pageResults.length);
+}
+
+test('compare lists the extra page of A as deleted', async () => {
+    const { results } = await compareThreeWithTwo();
+    assert.deepEqual(describe(results), ['matched:1->1', 'matched:2->2', 'deleted:3->null']);
+});
+
+test('unpairing a page lists its former counterpart as inserted', async () => {
+    const { engine, results } = await compareThreeWithTwo();
+
+    await engine.remap(results, 1, null);
+
+    assertEachPageOnce(results, [1, 2, 3], [1, 2]);
+    assert.deepEqual(describe(results), ['deleted:1->null', 'inserted:null->1', 'matched:2->2', 'deleted:3->null']);
+    assert.equal(results.totalDiffPixels, results.pageResults.reduce((sum, p) => sum + p.diffPixels, 0));
+});
+
+test('pairing with a page of B that is already paired unpairs its old page of A', async () => {
+    const { engine, results } = await compareThreeWithTwo();
+
+    await engine.remap(results, 3, 1);
+    assertEachPageOnce(results, [1, 2, 3], [1, 2]);
+    assert.deepEqual(describe(results), ['deleted:1->null', 'matched:2->2', 'matched:3->1']);
+
+    await engine.remap(results, 2, 1);
+    assertEachPageOnce(results, [1, 2, 3], [1, 2]);
+    assert.deepEqual(describe(results), ['deleted:1->null', 'matched:2->1', 'inserted:null->2', 'deleted:3->null']);
+});
+
+test('pairing with a page of B listed on its own removes that entry', async () => {
+    const { engine, results } = await compareThreeWithTwo();
+
+    await engine.remap(results, 1, null);
+    await engine.remap(results, 3, 1);
+
+    assertEachPageOnce(results, [1, 2, 3], [1, 2]);
+    assert.deepEqual(describe(results), ['deleted:1->null', 'matched:2->2', 'matched:3->1']);
+});
+
+test('remapping reuses the loaded documents until they are released', async () => {
+    const { engine, results } = await compareThreeWithTwo();
+    let loads = 0;
+    const loadDocument = engine._loadDocument.bind(engine);
+    engine._loadDocument = (data) => {
+        loads++;
+        return loadDocument(data);
+    };
+
+    await engine.remap(results, 1, 1);
+    await engine.remap(results, 2, 2);
+    await engine.remap(results, 3, null);
+    assert.equal(loads, 2);
+
+    engine.releaseDocuments();
+    await engine.remap(results, 1, 1);
+    assert.equal(loads, 4);
+    engine.releaseDocuments();
+});
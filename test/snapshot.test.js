@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { mkdtemp, readdir, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { PDFDocument, StandardFonts } from 'pdf-lib';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const JEST = path.join(ROOT, 'node_modules', 'jest', 'bin', 'jest.js');
+
+let dir;
+
+async function makePdf(text) {
+    const doc = await PDFDocument.create();
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    doc.addPage([160, 80]).drawText(text, { x: 16, y: 36, size: 12, font });
+    return await doc.save();
+}
+
+/**
+ * Run the Jest project in `dir` and return its exit status and output
+ */
+function runJest(env = {}) {
+    const result = spawnSync(process.execPath, ['--experimental-vm-modules', JEST, '--rootDir', dir], {
+        cwd: dir,
+        encoding: 'utf8',
+        timeout: 120000,
+        env: { ...process.env, CI: '', PDF_SNAPSHOT_UPDATE: '', PDF_SNAPSHOT_CI: '', ...env }
+    });
+    return { status: result.status, output: result.stdout + result.stderr };
+}
+
+before(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'pdf-diff-snapshot-'));
+    await writeFile(path.join(dir, 'package.json'), JSON.stringify({ type: 'module' }));
+    await writeFile(path.join(dir, 'jest.config.json'), JSON.stringify({ testEnvironment: 'node', transform: {} }));
+    await writeFile(path.join(dir, 'invoice.test.js'), `
+import { readFile } from 'fs/promises';
+import { toMatchPdfSnapshot } from ${JSON.stringify(pathToFileURL(path.join(ROOT, 'src', 'node', 'index.js')).href)};
+
+expect.extend({ toMatchPdfSnapshot });
+
+test('invoice', async () => {
+    await expect(await readFile(new URL('./invoice.pdf', import.meta.url))).toMatchPdfSnapshot({ options: { scale: 0.5 } });
+});
+`);
+});
+
+after(async () => {
+    await rm(dir, { recursive: true, force: true });
+});
+
+test('toMatchPdfSnapshot under Jest writes, checks and updates baselines', async () => {
+    const snapshots = path.join(dir, '__pdf_snapshots__');
+
+    // CI fails on a missing baseline instead of writing it
+    await writeFile(path.join(dir, 'invoice.pdf'), await makePdf('Total: $1,200'));
+    let run = runJest({ CI: 'true' });
+    assert.equal(run.status, 1, run.output);
+    assert.match(run.output, /PDF snapshot "invoice 1" has no baseline/);
+
+    run = runJest();
+    assert.equal(run.status, 0, run.output);
+    assert.deepEqual(await readdir(snapshots), ['invoice-1.pdf']);
+
+    run = runJest({ CI: 'true' });
+    assert.equal(run.status, 0, run.output);
+
+    // A changed PDF fails and leaves the candidate and report
+    await writeFile(path.join(dir, 'invoice.pdf'), await makePdf('Total: $1,250'));
+    run = runJest();
+    assert.equal(run.status, 1, run.output);
+    assert.match(run.output, /PDF snapshot "invoice 1" changed/);
+    assert.deepEqual((await readdir(snapshots)).sort(), ['invoice-1.candidate.pdf', 'invoice-1.diff.html', 'invoice-1.pdf']);
+
+    // Update mode accepts the change, after which the new PDF matches
+    run = runJest({ PDF_SNAPSHOT_UPDATE: '1' });
+    assert.equal(run.status, 0, run.output);
+    run = runJest();
+    assert.equal(run.status, 0, run.output);
+});
@@ -0,0 +1,170 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import http from 'http';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PDFDocument } from 'pdf-lib';
+import { createApiRouter } from '../src/node/api.js';
+import { checkCallbackUrl, deliverWebhook, signPayload, verifySignature } from '../src/node/webhooks.js';
+
+const SECRET = 'test-secret';
+
+let stub;
+let stubUrl;
+// Statuses the stub answers with, in order; 204 once they run out
+let answers = [];
+let received = [];
+
+before(async () => {
+    stub = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            received.push({ headers: req.headers, body: Buffer.concat(chunks) });
+            res.statusCode = answers.shift() ?? 204;
+            res.end();
+        });
+    });
+    stub.listen(0, '127.0.0.1');
+    await new Promise(resolve => stub.once('listening', resolve));
+    stubUrl = `http://127.0.0.1:${stub.address().port}/hook`;
+});
+
+after(async () => {
+    await new Promise(resolve => stub.close(resolve));
+});
+
+function reset(statuses = []) {
+    answers = statuses;
+    received = [];
+}
+
+test('deliveries carry a signature over the timestamp and body', async () => {
+    reset();
+    const delivered = await deliverWebhook(stubUrl, { event: 'job.completed', job: { id: 'a' } }, {
+        secret: SECRET,
+        allowedHosts: ['127.0.0.1']
+    });
+    assert.equal(delivered, true);
+    const [{ headers, body }] = received;
+    assert.equal(headers['x-pdf-diff-event'], 'job.completed');
+    assert.ok(verifySignature(body, headers['x-pdf-diff-signature'], headers['x-pdf-diff-timestamp'], SECRET));
+    assert.equal(verifySignature(body, headers['x-pdf-diff-signature'], headers['x-pdf-diff-timestamp'], 'other-secret'), false);
+    assert.equal(verifySignature(Buffer.from(`${body} `), headers['x-pdf-diff-signature'], headers['x-pdf-diff-timestamp'], SECRET), false);
+    assert.equal(verifySignature(body, headers['x-pdf-diff-signature'], Number(headers['x-pdf-diff-timestamp']) + 1, SECRET), false);
+});
+
+test('verifySignature refuses a replayed delivery signed too long ago', () => {
+    const body = '{"event":"job.completed"}';
+    const old = Math.floor(Date.now() / 1000) - 600;
+    const signature = signPayload(body, SECRET, old);
+    assert.equal(verifySignature(body, signature, old, SECRET), false);
+    assert.equal(verifySignature(body, signature, old, SECRET, { tolerance: 900 }), true);
+    assert.equal(verifySignature(body, signature, undefined, SECRET), false);
+});
+
+test('a 5xx answer is retried with the same delivery id and a fresh signature', async () => {
+    reset([503]);
+    const attempts = [];
+    const delivered = await deliverWebhook(stubUrl, { event: 'job.failed' }, {
+        secret: SECRET,
+        allowedHosts: ['127.0.0.1'],
+        backoff: 10,
+        onAttempt: attempt => attempts.push(attempt)
+    });
+    assert.equal(delivered, true);
+    assert.deepEqual(attempts.map(({ attempt, status, error }) => ({ attempt, status, error })), [
+        { attempt: 1, status: 503, error: 'HTTP 503' },
+        { attempt: 2, status: 204, error: null }
+    ]);
+    assert.equal(received[0].headers['x-pdf-diff-delivery'], received[1].headers['x-pdf-diff-delivery']);
+    received.forEach(({ headers, body }) => {
+        assert.ok(verifySignature(body, headers['x-pdf-diff-signature'], headers['x-pdf-diff-timestamp'], SECRET));
+    });
+});
+
+test('a 4xx answer is not retried', async () => {
+    reset([404]);
+    const delivered = await deliverWebhook(stubUrl, { event: 'job.failed' }, { secret: SECRET, allowedHosts: ['127.0.0.1'], backoff: 10 });
+    assert.equal(delivered, false);
+    assert.equal(received.length, 1);
+});
+
+test('callbacks to private and loopback hosts are refused unless allowed', async () => {
+    for (const url of ['http://127.0.0.1/', 'http://localhost/', 'http://10.0.0.8/', 'http://169.254.169.254/', 'http://[::1]/', 'http://[::ffff:192.168.0.1]/']) {
+        await assert.rejects(checkCallbackUrl(url), /not a public address/, url);
+    }
+    await checkCallbackUrl('http://93.184.216.34/');
+    await checkCallbackUrl('http://localhost/', { allowedHosts: ['localhost'] });
+
+    reset();
+    const attempts = [];
+    const delivered = await deliverWebhook(stubUrl, { event: 'job.failed' }, {
+        secret: SECRET,
+        backoff: 10,
+        onAttempt: attempt => attempts.push(attempt)
+    });
+    assert.equal(delivered, false);
+    assert.equal(received.length, 0);
+    assert.equal(attempts.length, 1);
+    assert.match(attempts[0].error, /not a public address/);
+});
+
+test('job callbacks are retried and logged in job.json', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'pdf-diff-webhooks-'));
+    const doc = await PDFDocument.create();
+    doc.addPage([120, 80]);
+    await writeFile(path.join(dir, 'a.pdf'), await doc.save());
+
+    const router = createApiRouter({
+        root: dir,
+        jobs: { dir: path.join(dir, 'jobs') },
+        webhooks: { secret: SECRET, allowedHosts: ['127.0.0.1'], backoff: 10 }
+    });
+    const app = express();
+    app.use('/api', router);
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    try {
+        const post = async callbackUrl => await fetch(`http://127.0.0.1:${server.address().port}/api/jobs`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ urlA: 'a.pdf', urlB: 'a.pdf', options: { scale: 0.5 }, callbackUrl })
+        });
+
+        const refused = await post('http://10.0.0.8/hook');
+        assert.equal(refused.status, 400);
+        assert.match((await refused.json()).error, /callbackUrl/);
+
+        reset([500]);
+        const response = await post(stubUrl);
+        assert.equal(response.status, 202);
+        const { id } = await response.json();
+
+        const file = path.join(dir, 'jobs', id, 'job.json');
+        let job;
+        for (let i = 0; i < 200; i++) {
+            job = JSON.parse(await readFile(file, 'utf8'));
+            if (job.callback.status === 'delivered') break;
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        assert.equal(job.callback.status, 'delivered');
+        assert.deepEqual(job.callback.deliveries.map(({ attempt, status }) => ({ attempt, status })), [
+            { attempt: 1, status: 500 },
+            { attempt: 2, status: 204 }
+        ]);
+
+        const { headers, body } = received[1];
+        assert.ok(verifySignature(body, headers['x-pdf-diff-signature'], headers['x-pdf-diff-timestamp'], SECRET));
+        const payload = JSON.parse(body);
+        assert.equal(payload.event, 'job.completed');
+        assert.equal(payload.job.id, id);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+        await router.jobs.close();
+        await rm(dir, { recursive: true, force: true });
+    }
+});